@@ -1,12 +1,19 @@
 /** 
  * @file This library helps you to implement the basic interactions in sharepoint with web services such as
- *       mono and multi site CRUD, upload and delete files to/from a library and access to basic logged user info. 
- *       Also has some basic JS utilities like basic notification function and form error notifications.
+ *       mono and multi site CRUD with attachments, upload, download and delete files, manage folders, check-outs and
+ *       versions of a library and access to basic logged user info.
+ *       Also has some basic JS utilities like basic notification function, form error notifications, form validation
+ *       and forms bound to list items.
+ *       Every CRUD, file and user function has an asynchronous version (same name ending in Async) that returns a Promise.
+ *       SpSite gives the same operations, Promise based, for any site.
+ *       It can be loaded with a script tag (its functions are published as globals and in window.SpSnippet), with AMD
+ *       or with CommonJS and ES module bundlers (import SpSnippet from "./SpSnippet.js").
+ *       The requests are sent with fetch or XMLHttpRequest (or any transport given to configure()); jQuery is only
+ *       needed by the notifications and the forms.
  * @summary Library with basic functions to interact with sharepoint lists.
  * @author Felipe Pulido <fpulido.mendoza@gmail.com>
  * @author Fernando Aguilar <fernando.asdev@gmail.com>
- * @requires JQuery1.12.4+
- * @requires SPServices2014.02
+ * @requires JQuery1.12.4+ (notifications and forms)
  *
  * @copyright F2 2016 - 2017
  * @version 3.2
@@ -31,590 +38,6824 @@
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
  * SOFTWARE. */
 
-/** 
- * A string with the url of your site (used to access the data of logged user)
- * @constant {string} */
-const URL_SITE = "http://yoursiteurl.us/url/of/your/site"; // Make sure it doesn't have any trail slash
+(function(root, factory) {
+    // jQuery is optional: the page's one is used if there is one, otherwise it can be given with configure({ jQuery: $ })
+    if(typeof define == "function" && define.amd) {
+        define([], function() {
+            return factory(root.jQuery);
+        });
+    } else if(typeof module == "object" && module.exports) {
+        module.exports = factory(root.jQuery);
+    } else {
+        // Loaded with a script tag: the functions are also published as globals, as the previous versions did
+        var api = factory(root.jQuery);
+        var previous = {};
+        var previousSpSnippet = root.SpSnippet;
+        for(var name in api) {
+            previous[name] = root[name];
+            root[name] = api[name];
+        }
+        /**
+         * Removes the globals published by the library (restoring the previous values) and returns the library object.
+         * @example <caption>Usage of SpSnippet.noConflict() function.</caption>
+         * var sp = SpSnippet.noConflict();
+         * sp.getListItemsAsync("Employees", ["ID", "FirstName"]);
+         */
+        api.noConflict = function() {
+            for(var name in previous) {
+                if(root[name] === api[name])
+                    root[name] = previous[name];
+            }
+            if(root.SpSnippet === api)
+                root.SpSnippet = previousSpSnippet;
+            return api;
+        };
+        root.SpSnippet = api;
+    }
+}(typeof self != "undefined" ? self : typeof global != "undefined" ? global : this, function($) {
+
+/* SETTINGS  */
+/**
+ * The settings of the library, changed with configure().
+ * @private
+ */
+var settings = {
+    siteUrl: "",
+    formErrors: false,
+    transport: null,
+    parseXml: null,
+    validateWrites: false,
+    cache: null,
+    resilient: null,
+    maxNotifications: 3,
+    notificationDuration: 4000
+};
+
+/**
+ * Changes the settings of the library. It can be called as many times as needed, only the given settings are changed.
+ * @example <caption>Usage of configure() function.</caption>
+ * configure({
+ *     siteUrl: "http://example.us/sites/mainsite/subsite/site",
+ *     formErrors: true
+ * });
+ *
+ * @example <caption>Running the library against a mock server in tests.</caption>
+ * configure({
+ *     siteUrl: "http://localhost:8080",
+ *     transport: {
+ *         send: function(request) {
+ *             return mockServer.handle(request.headers.SOAPAction, request.body); // resolves with { status, statusText, responseText }
+ *         }
+ *     }
+ * });
+ *
+ * @param {Object} options
+ * @param {string} [options.siteUrl] - The URL of the current site. If it's empty it's detected from _spPageContextInfo or the page URL.
+ * @param {boolean} [options.formErrors] - Enables the #errorBox tooltips of the form fields (see enableFormErrors()).
+ * @param {transport} [options.transport] - The transport of the requests (fetch or XMLHttpRequest by default), see createJQueryTransport().
+ * @param {function(string): Document} [options.parseXml] - The XML parser of the responses (DOMParser by default).
+ * @param {Object} [options.jQuery] - The jQuery used by the notifications and the forms, if it isn't window.jQuery.
+ * @param {boolean} [options.validateWrites] - Checks the values of the created and updated items against the schema of the list
+ *        (see SpSite.getListSchema()) before sending them: unknown and read only fields, missing required fields and invalid choices
+ *        fail with the errorCode InvalidValues. It applies to the synchronous and asynchronous writes and to each method of a
+ *        ListBatch. The writes queued by the resilient mode are validated when they're sent (see replayPendingWrites()).
+ * @param {boolean|Object} [options.cache] - Caches every query of list items (see getListItemsAsync()): true, or the
+ *        default ttl (milliseconds, 60000) and storage (memory, session or local) of the cached queries.
+ * @param {boolean|Object} [options.resilient] - Retries the requests that fail for the network or a busy server and queues the
+ *        writes made while the network is down (see replayPendingWrites()): true, or the number of retries (3), the backoff
+ *        before the first retry (1000 milliseconds, doubled on each retry), the timeout of each attempt (30000 milliseconds)
+ *        and whether the writes are queued (queue, true). The synchronous functions don't retry, but they queue. SOAP faults
+ *        aren't retried, and the creates that time out are reported instead of sent again, since they may have been saved.
+ * @param {number} [options.maxNotifications] - How many notifications are shown at the same time, the rest wait (3 by default).
+ * @param {number} [options.notificationDuration] - The milliseconds a notification is shown by default (4000).
+ * @returns {Object} A copy of the resulting settings.
+ */
+function configure(options) {
+    if(options.jQuery)
+        $ = options.jQuery;
+    extend(settings, options);
+    settings.siteUrl = settings.siteUrl ? settings.siteUrl.replace(/\/+$/, "") : "";
+    if(settings.formErrors)
+        enableFormErrors();
+    if(settings.resilient && resilientOptions().queue) {
+        listenToNetwork();
+        if(loadPendingWrites().length > 0 && (typeof navigator == "undefined" || navigator.onLine !== false))
+            replayPendingWrites();
+    }
+    return extend({}, settings);
+}
+
+/**
+ * Gets the URL of the current site: the configured one, the one of _spPageContextInfo, or the one guessed from the URL
+ * of the page (everything before /Lists/, /Pages/, /SitePages/, /_layouts/... or before the page itself).
+ * @returns {string} The URL without trailing slash.
+ */
+function getSiteUrl() {
+    if(settings.siteUrl)
+        return settings.siteUrl;
+    var context = typeof _spPageContextInfo != "undefined" ? _spPageContextInfo : null;
+    if(context && context.webAbsoluteUrl)
+        return context.webAbsoluteUrl.replace(/\/+$/, "");
+    var origin = window.location.protocol+"//"+window.location.host;
+    if(context && context.webServerRelativeUrl)
+        return (origin+context.webServerRelativeUrl).replace(/\/+$/, "");
+    var path = window.location.pathname;
+    var folder = path.search(/\/(Lists|Pages|SitePages|SiteAssets|Shared%20Documents|_layouts|_vti_bin)(\/|$)/i);
+    if(folder != -1)
+        path = path.substring(0, folder);
+    else if(/\/[^\/]+\.[^\/]+$/.test(path))
+        path = path.substring(0, path.lastIndexOf("/"));
+    return (origin+path).replace(/\/+$/, "");
+}
+
+/**
+ * The list view threshold of SharePoint, no page of items will be bigger than this.
+ * @constant {number} */
+const LIST_VIEW_THRESHOLD = 5000;
 
 /**
  * @callback listCallback
  * @param {Object[]} listItems
  *
  * @callback successCallback
+ *
  * @callback errorCallback
+ * @param {SpError} error - The reason of the failure.
  */
 
-/* CRUD  */
+/* ERRORS  */
 /**
- * Gets the item(s) requested to a list in Sharepoint, filtered by the query.
- * @example <caption>First usage of getListItems() function (basic).</caption>
- * // returns the ID, FirstName and LastName of every Employee in the Employees list
- * getListItems("Employees", ["ID", "FirstName", "LastName"]);
+ * The error returned (thrown, rejected or passed to the error callbacks) by every failed operation.
+ * @example <caption>Telling the user why a save failed.</caption>
+ * updateListItemAsync("Employees", ["ID", "LastName"], [152, "Doe"]).catch(function(error) {
+ *     if(error.status == 0)
+ *         showMessage("Check your connection and try again", "error");
+ *     else
+ *         showMessage("The employee couldn't be saved: " + error.errorText, "error");
+ * });
  *
- * @example <caption>Second usage of getListItems() function (with filtering query).</caption>
- * // returns the ID, FirstName and LastName of the employee with ID equal to 2
- * var query = "<Query>\
-                    <Where>\
-                        <Eq>\
-                            <FieldRef Name='ID'></FieldRef>
-                            <Value Type='Number'>2</Value>
-                        </Eq>\
-                    </Where>\
- *              </Query>"
- * getListItems("Employees", ["ID", "FirstName", "LastName"], query)
+ * @constructor
+ * @param {string} message - Description of the error.
+ * @param {Object} [details]
+ * @param {number} [details.status] - The HTTP status of the response (0 if the server couldn't be reached).
+ * @param {string} [details.errorCode] - The ErrorCode returned by SharePoint (like 0x81020016).
+ * @param {string} [details.errorText] - The ErrorText (or SOAP fault string) returned by SharePoint.
+ * @param {string} [details.operation] - The name of the library function that failed.
+ * @param {string} [details.listName] - The list the operation was working with.
+ * @param {number|string} [details.itemId] - The item the operation was working with.
+ * @param {Object} [details.response] - The raw response of the request.
+ * @param {Object} [details.conflict] - The current values of the item, when an update failed for a version conflict (see
+ *        updateListItemAsync()).
+ */
+function SpError(message, details) {
+    details = details || {};
+    this.name = "SpError";
+    this.message = message;
+    this.status = details.status !== undefined ? details.status : null;
+    this.errorCode = details.errorCode || null;
+    this.errorText = details.errorText || null;
+    this.operation = details.operation || null;
+    this.listName = details.listName || null;
+    this.itemId = details.itemId !== undefined ? details.itemId : null;
+    this.response = details.response || null;
+    this.conflict = details.conflict || null;
+    this.stack = (new Error(message)).stack;
+}
+
+SpError.prototype = Object.create(Error.prototype);
+SpError.prototype.constructor = SpError;
+
+/**
+ * Global handlers notified of every error.
+ * @private
+ */
+var errorHandlers = [];
+
+/**
+ * Registers a function that will be called with every SpError produced by the library (useful for logging).
+ * @example <caption>Usage of addErrorHandler() function.</caption>
+ * addErrorHandler(function(error) {
+ *     console.error(error.operation + " on " + error.listName + ": " + error.message);
+ * });
  *
- * @example <caption>Third usage of getListItems() function (with callback).</caption>
- * // returns the ID, FirstName and LastName of every Employee in the Employees list and populates an unordered list in the DOM.
- *  function showEmployees(employees) {
-        $("#body").append("<ul>");
-        $.each(employees, function(i, employee) {
-            $("#body").append("<li>"+employee.FirstName+" "+employee.LastName+"</li>");
+ * @param {errorCallback} handler
+ */
+function addErrorHandler(handler) {
+    errorHandlers.push(handler);
+}
+
+/**
+ * Unregisters a function added with addErrorHandler().
+ * @param {errorCallback} handler
+ */
+function removeErrorHandler(handler) {
+    var index = errorHandlers.indexOf(handler);
+    if(index != -1)
+        errorHandlers.splice(index, 1);
+}
+
+/**
+ * Notifies an error to the global handlers and to the error callback, if any.
+ * @private
+ * @returns {SpError} The same error.
+ */
+function reportError(error, errorCallback) {
+    errorHandlers.forEach(function(handler) {
+        try {
+            handler(error);
+        } catch(e) {
+            console.log("An error handler failed", e);
+        }
+    });
+    if(errorCallback)
+        errorCallback(error);
+    return error;
+}
+
+/**
+ * Builds the error of a failed request, reading the SOAP fault if there is one.
+ * @private
+ * @param {Object} response - The response returned by the transport.
+ * @param {Object} context - The operation, listName and itemId.
+ */
+function requestError(response, context) {
+    var fault = response.responseXML;
+    var errorText = xmlText(fault, "errorstring") || xmlText(fault, "faultstring");
+    var errorCode = xmlText(fault, "errorcode");
+    var reason = response.timedOut ? "the request timed out" :
+        response.status == 0 ? "the server couldn't be reached" : errorText || response.status+" "+response.statusText;
+    return new SpError(context.operation+" failed: "+reason, extend({}, context, {
+        status: response.status,
+        errorCode: errorCode,
+        errorText: errorText,
+        response: response
+    }));
+}
+
+/**
+ * Builds the error of an UpdateListItems response whose first Result has an ErrorCode other than 0x00000000.
+ * @private
+ * @returns {SpError|null} null if there was no error.
+ */
+function updateResultError(response, context) {
+    var errorCode = xmlText(response.responseXML, "ErrorCode");
+    if(!errorCode || errorCode === "0x00000000")
+        return null;
+    var errorText = xmlText(response.responseXML, "ErrorText");
+    return new SpError(context.operation+" failed: "+(errorText || errorCode), extend({}, context, {
+        status: response.status,
+        errorCode: errorCode,
+        errorText: errorText,
+        response: response
+    }));
+}
+
+/**
+ * Finds the value of the ID field in parallel fields/values arrays.
+ * @private
+ */
+function itemIdOf(fields, values) {
+    var index = fields.indexOf("ID");
+    return index == -1 ? undefined : values[index];
+}
+
+/* XML SERIALIZATION  */
+/**
+ * Escapes the XML special characters of a value so it can be used as element text or attribute value.
+ * @private
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * Builds an XML element. Every generated CAML, batch and envelope goes through it so no value can break the markup.
+ * @private
+ * @param {string} name - The name of the element.
+ * @param {Object} [attrs] - The attributes, escaped here. The null and undefined ones are left out.
+ * @param {string} [content] - The content, already serialized (escape the text with escapeXml()). Empty elements are closed.
+ * @returns {string}
+ */
+function xmlElement(name, attrs, content) {
+    var xml = "<"+name;
+    for(var attr in attrs) {
+        if(attrs[attr] !== undefined && attrs[attr] !== null)
+            xml += " "+attr+"='"+escapeXml(attrs[attr])+"'";
+    }
+    if(content === undefined || content === null || content === "")
+        return xml+"/>";
+    return xml+">"+content+"</"+name+">";
+}
+
+/**
+ * A value sent as a CDATA section, see cdata().
+ * @private
+ * @constructor
+ */
+function CData(value) {
+    this.value = value === undefined || value === null ? "" : String(value);
+}
+
+/**
+ * Serializes the CDATA section. A ]]> inside the value is split in two sections so it can't close it.
+ * @returns {string}
+ */
+CData.prototype.toString = function() {
+    return "<![CDATA["+this.value.replace(/\]\]>/g, "]]]]><![CDATA[>")+"]]>";
+};
+
+/**
+ * Marks a value to be sent as a CDATA section instead of escaped, which keeps the markup of rich text fields readable in the
+ * requests. Both ways store the same value.
+ * @example <caption>Usage of cdata() function.</caption>
+ * updateListItemAsync("News", ["ID", "Body"], [3, cdata("<p>Welcome to <b>R&D</b></p>")]);
+ *
+ * @param {string} value - The HTML or text of the field.
+ * @returns {Object} The value to give to the create and update functions.
+ */
+function cdata(value) {
+    return new CData(value);
+}
+
+/**
+ * Serializes the value of a <Field> element of a batch.
+ * @private
+ */
+function fieldValueXml(value) {
+    return value instanceof CData ? String(value) : escapeXml(encodeFieldValue(value));
+}
+
+/**
+ * The internal names of SharePoint: letters, digits and underscores (the other characters are encoded, like _x0020_ for spaces).
+ * @private
+ */
+var FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Checks that a field name is a valid internal name before it's put in a request.
+ * @private
+ * @throws {SpError} If the name isn't valid.
+ * @returns {string} The name.
+ */
+function checkFieldName(name) {
+    if(typeof name != "string" || !FIELD_NAME_PATTERN.test(name)) {
+        var hint = typeof name == "string" && name.indexOf(" ") != -1 ? " (use the internal name, e.g. "+name.replace(/ /g, "_x0020_")+")" : "";
+        throw new SpError("'"+name+"' isn't a valid internal field name"+hint);
+    }
+    return name;
+}
+
+/**
+ * Builds a <FieldRef> element.
+ * @private
+ */
+function fieldRefXml(name, attrs) {
+    return xmlElement("FieldRef", extend({ Name: checkFieldName(name) }, attrs));
+}
+
+/* TRANSPORT  */
+/**
+ * A request to a SharePoint web service, as it's given to the transports.
+ * @typedef {Object} transportRequest
+ * @property {string} url - The URL of the web service (or of the file, for uploads).
+ * @property {string} method - The HTTP method (POST for every SOAP operation, HEAD and PUT for uploads).
+ * @property {Object.<string, string>} headers - The HTTP headers (Content-Type and SOAPAction).
+ * @property {string|Blob} body - The SOAP envelope, or the file of an upload.
+ * @property {Object} [signal] - An AbortSignal (or an object with aborted and addEventListener("abort")) that cancels the request.
+ * @property {function(number, number)} [onUploadProgress] - Called with the bytes sent and the total while the body is sent.
+ * @property {string} [responseType] - blob to receive the body as a Blob (downloads).
+ */
+
+/**
+ * The response of a transport. The HTTP errors are responses too, only their status tells them apart.
+ * @typedef {Object} transportResponse
+ * @property {number} status - The HTTP status (0 if the server couldn't be reached).
+ * @property {string} statusText - The HTTP status text.
+ * @property {string} responseText - The body of the response.
+ * @property {boolean} [aborted] - true if the request was cancelled with its signal.
+ * @property {boolean} [timedOut] - true if the request timed out in resilient mode.
+ * @property {boolean} [creates] - true if the request that timed out creates items.
+ * @property {Blob} [body] - The body of the requests with responseType blob.
+ */
+
+/**
+ * Sends the requests of the library. Any object with these methods can be given to configure() or to an SpSite, for example
+ * to run the library against a mock SOAP server in tests.
+ * @typedef {Object} transport
+ * @property {function(transportRequest): Promise<transportResponse>} send - Sends a request asynchronously.
+ * @property {function(transportRequest): transportResponse} [sendSync] - Sends a request synchronously, only needed by the
+ *           synchronous functions (getListItems() without callback, createNewListItem()...).
+ */
+
+/**
+ * Builds the response of a transport from an XMLHttpRequest (or a jqXHR).
+ * @private
+ */
+function xhrResponse(xhr) {
+    if(xhr.responseType && xhr.responseType != "text")
+        return { status: xhr.status, statusText: xhr.statusText, responseText: "", body: xhr.response };
+    return {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        responseText: xhr.responseText || ""
+    };
+}
+
+/**
+ * Response used when the server couldn't be reached.
+ * @private
+ */
+function networkErrorResponse() {
+    return { status: 0, statusText: "Network error", responseText: "" };
+}
+
+/**
+ * Response used when a request was cancelled.
+ * @private
+ */
+function abortedResponse() {
+    return { status: 0, statusText: "Cancelled", responseText: "", aborted: true };
+}
+
+/**
+ * Connects the signal and the upload progress of a request to a XMLHttpRequest.
+ * @private
+ * @returns {boolean} false if the request was cancelled before it was sent.
+ */
+function watchRequest(request, xhr) {
+    if(request.onUploadProgress && xhr.upload) {
+        xhr.upload.onprogress = function(evt) {
+            request.onUploadProgress(evt.loaded, evt.lengthComputable ? evt.total : null);
+        };
+    }
+    if(request.signal) {
+        if(request.signal.aborted)
+            return false;
+        request.signal.addEventListener("abort", function() {
+            xhr.abort();
         });
-        $("#body").append("</ul>");
     }
- * getListItems("Employees", ["ID", "FirstName", "LastName"], "", showEmployees);
+    return true;
+}
+
+/**
+ * Creates a transport built on XMLHttpRequest. It supports synchronous requests.
+ * @returns {transport}
+ */
+function createXhrTransport() {
+    function open(request, async) {
+        var xhr = new XMLHttpRequest();
+        xhr.open(request.method, request.url, async);
+        if(async && request.responseType)
+            xhr.responseType = request.responseType;
+        for(var name in request.headers)
+            xhr.setRequestHeader(name, request.headers[name]);
+        return xhr;
+    }
+    return {
+        send: function(request) {
+            return new Promise(function(resolve) {
+                var xhr = open(request, true);
+                xhr.onload = function() {
+                    resolve(xhrResponse(xhr));
+                };
+                xhr.onerror = function() {
+                    resolve(networkErrorResponse());
+                };
+                xhr.onabort = function() {
+                    resolve(abortedResponse());
+                };
+                if(watchRequest(request, xhr))
+                    xhr.send(request.body);
+                else
+                    resolve(abortedResponse());
+            });
+        },
+        sendSync: function(request) {
+            var xhr = open(request, false);
+            try {
+                xhr.send(request.body);
+            } catch(e) {
+                return networkErrorResponse();
+            }
+            return xhrResponse(xhr);
+        }
+    };
+}
+
+/**
+ * Creates a transport built on fetch. The synchronous requests, the uploads and the downloads are sent with XMLHttpRequest
+ * because fetch can't do them or report their progress.
+ * @returns {transport}
+ */
+function createFetchTransport() {
+    var xhrTransport = createXhrTransport();
+    return {
+        send: function(request) {
+            if(request.onUploadProgress || request.signal || request.responseType)
+                return xhrTransport.send(request);
+            return fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                credentials: "same-origin"
+            }).then(function(res) {
+                return res.text().then(function(text) {
+                    return { status: res.status, statusText: res.statusText, responseText: text };
+                });
+            }, networkErrorResponse);
+        },
+        sendSync: xhrTransport.sendSync
+    };
+}
+
+/**
+ * Creates a transport built on jQuery.ajax, so the requests go through the ajax settings and events of the page. The
+ * downloads are sent with XMLHttpRequest because jQuery 1 can't read binary responses.
+ * @example <caption>Usage of createJQueryTransport() function.</caption>
+ * configure({ transport: createJQueryTransport(jQuery) });
+ *
+ * @param {Object} jQuery - The jQuery object of the page.
+ * @returns {transport}
+ */
+function createJQueryTransport(jQuery) {
+    function ajax(request, async) {
+        var response;
+        var promise = new Promise(function(resolve) {
+            if(request.signal && request.signal.aborted)
+                return resolve(response = abortedResponse());
+            var jqXHR = jQuery.ajax({
+                url: request.url,
+                type: request.method,
+                async: async,
+                headers: request.headers,
+                contentType: request.headers["Content-Type"],
+                data: request.body,
+                processData: false,
+                dataType: "text",
+                xhr: function() {
+                    var xhr = jQuery.ajaxSettings.xhr();
+                    if(request.onUploadProgress && xhr.upload) {
+                        xhr.upload.onprogress = function(evt) {
+                            request.onUploadProgress(evt.loaded, evt.lengthComputable ? evt.total : null);
+                        };
+                    }
+                    return xhr;
+                },
+                complete: function(xhr, textStatus) {
+                    response = textStatus == "abort" ? abortedResponse() : xhrResponse(xhr);
+                    resolve(response);
+                }
+            });
+            if(request.signal) {
+                request.signal.addEventListener("abort", function() {
+                    jqXHR.abort();
+                });
+            }
+        });
+        return async ? promise : response;
+    }
+    var xhrTransport = createXhrTransport();
+    return {
+        send: function(request) {
+            if(request.responseType)
+                return xhrTransport.send(request);
+            return ajax(request, true);
+        },
+        sendSync: function(request) {
+            return ajax(request, false);
+        }
+    };
+}
+
+/**
+ * The transport used when none is configured.
+ * @private
+ */
+var defaultTransport = null;
+
+/**
+ * Gets the transport of a site: its own, the configured one or the default one (fetch, or XMLHttpRequest where there is no fetch).
+ * @private
+ */
+function transportOf(site) {
+    if(site.transport)
+        return site.transport;
+    if(settings.transport)
+        return settings.transport;
+    if(!defaultTransport)
+        defaultTransport = typeof fetch == "function" ? createFetchTransport() : createXhrTransport();
+    return defaultTransport;
+}
+
+/**
+ * Parses an XML document with the configured parser or DOMParser.
+ * @private
+ * @returns {Document|null} null if the text isn't valid XML.
+ */
+function parseXml(text) {
+    if(!text)
+        return null;
+    if(settings.parseXml)
+        return settings.parseXml(text);
+    var doc = new DOMParser().parseFromString(text, "text/xml");
+    return doc.getElementsByTagName("parsererror").length > 0 ? null : doc;
+}
+
+/**
+ * Finds the descendants of a node by name (z:row, rs:data...) or by local name (Field, ErrorCode...).
+ * @private
+ */
+function xmlElements(node, name) {
+    var elements = [];
+    if(!node)
+        return elements;
+    var all = node.getElementsByTagName("*");
+    for(var i = 0; i < all.length; i++) {
+        if(all[i].nodeName == name || all[i].localName == name)
+            elements.push(all[i]);
+    }
+    return elements;
+}
+
+/**
+ * Finds the first descendant of a node by name.
+ * @private
+ */
+function xmlFirst(node, name) {
+    return xmlElements(node, name)[0] || null;
+}
+
+/**
+ * Gets the text of the first descendant of a node with the given name ("" if there is none).
+ * @private
+ */
+function xmlText(node, name) {
+    var element = xmlFirst(node, name);
+    return element ? element.textContent : "";
+}
+
+/**
+ * Gets an attribute of an element (undefined if it's missing).
+ * @private
+ */
+function xmlAttr(element, name) {
+    return element && element.hasAttribute(name) ? element.getAttribute(name) : undefined;
+}
+
+/**
+ * The SharePoint web services used by the library.
+ * @private
+ */
+var SERVICES = {
+    lists: { path: "/_vti_bin/Lists.asmx", namespace: "http://schemas.microsoft.com/sharepoint/soap/" },
+    copy: { path: "/_vti_bin/Copy.asmx", namespace: "http://schemas.microsoft.com/sharepoint/soap/" },
+    versions: { path: "/_vti_bin/Versions.asmx", namespace: "http://schemas.microsoft.com/sharepoint/soap/" },
+    userGroup: { path: "/_vti_bin/UserGroup.asmx", namespace: "http://schemas.microsoft.com/sharepoint/soap/directory/" }
+};
+
+/**
+ * Marks a parameter of a SOAP operation as XML built with xmlElement(), so it's sent as it is instead of escaped.
+ * @private
+ */
+function rawXml(xml) {
+    return { xml: xml };
+}
+
+/**
+ * Builds the request of a SOAP operation.
+ * @private
+ * @param {SpSite} site - The site that receives the request.
+ * @param {string} service - The key of the web service in SERVICES.
+ * @param {string} operation - The name of the operation (GetListItems, UpdateListItems...).
+ * @param {Object|function(): Object} params - The parameters of the operation in order, or a function that builds them
+ *        (so the errors of the serialization are reported as errors of the operation). Strings and numbers are escaped,
+ *        rawXml() values are sent as they are, and null or undefined values are left out.
+ * @returns {transportRequest}
+ */
+function soapRequest(site, service, operation, params) {
+    var namespace = SERVICES[service].namespace;
+    var body = "";
+    if(typeof params == "function")
+        params = params();
+    for(var name in params) {
+        var value = params[name];
+        if(value === undefined || value === null)
+            continue;
+        body += "<"+name+">"+(value.xml !== undefined ? value.xml : escapeXml(value))+"</"+name+">";
+    }
+    return {
+        url: site.url()+SERVICES[service].path,
+        method: "POST",
+        headers: {
+            "Content-Type": "text/xml; charset=utf-8",
+            "SOAPAction": namespace+operation
+        },
+        body: "<?xml version='1.0' encoding='utf-8'?>"+
+            "<soap:Envelope xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xmlns:xsd='http://www.w3.org/2001/XMLSchema' xmlns:soap='http://schemas.xmlsoap.org/soap/envelope/'>"+
+            "<soap:Body>"+xmlElement(operation, { xmlns: namespace }, body)+"</soap:Body></soap:Envelope>"
+    };
+}
+
+/**
+ * Parses the XML of a response and turns the HTTP errors and SOAP faults into an SpError.
+ * @private
+ * @returns {SpError|null} null if the call succeeded.
+ */
+function readSoapResponse(response, context) {
+    response.responseXML = parseXml(response.responseText);
+    if(response.status < 200 || response.status >= 300 || !response.responseXML || xmlFirst(response.responseXML, "Fault"))
+        return requestError(response, context);
+    return null;
+}
+
+/**
+ * Calls a SOAP operation asynchronously.
+ * @private
+ * @param {SpSite} site - The site that receives the request.
+ * @param {string} service - The key of the web service in SERVICES.
+ * @param {string} operation - The name of the operation.
+ * @param {Object} params - The parameters of the operation (see soapRequest()).
+ * @param {Object} context - The operation, listName and itemId reported if the call fails.
+ * @returns {Promise<Object>} Resolves with the response (with its responseXML), rejects with an SpError.
+ */
+function soapCall(site, service, operation, params, context) {
+    return new Promise(function(resolve) {
+        resolve(sendRequest(site, soapRequest(site, service, operation, params)));
+    }).then(function(response) {
+        invalidateCachedQueries(site, operation, context);
+        var error = readSoapResponse(response, context);
+        if(error)
+            throw isQueuedFailure(context, error) ? error : reportError(error);
+        return response;
+    }, function(error) {
+        throw reportError(operationError(error, context));
+    });
+}
+
+/**
+ * Turns an exception thrown while a request was built or sent into an SpError of the operation.
+ * @private
+ */
+function operationError(error, context) {
+    if(error instanceof SpError && error.operation)
+        return error;
+    return new SpError(context.operation+" failed: "+(error && error.message || error), context);
+}
+
+/**
+ * Calls a SOAP operation synchronously.
+ * @private
+ * @returns {Object} The response (with its responseXML) and the error, if the call failed.
+ */
+function soapCallSync(site, service, operation, params, context) {
+    var transport = transportOf(site);
+    if(!transport.sendSync) {
+        var response = networkErrorResponse();
+        return { response: response, error: new SpError(context.operation+" failed: the transport doesn't support synchronous requests", context) };
+    }
+    var request;
+    try {
+        request = soapRequest(site, service, operation, params);
+    } catch(e) {
+        return { response: networkErrorResponse(), error: operationError(e, context) };
+    }
+    var syncResponse = transport.sendSync(request);
+    invalidateCachedQueries(site, operation, context);
+    return { response: syncResponse, error: readSoapResponse(syncResponse, context) };
+}
+
+/* CACHE  */
+/**
+ * The default options of the cache of the queries.
+ * @private
+ */
+var CACHE_DEFAULTS = { ttl: 60000, storage: "memory" };
+
+/**
+ * The prefix of the cached queries in the session and local storages.
+ * @private
+ */
+var CACHE_STORAGE_PREFIX = "SpSnippet.cache|";
+
+/**
+ * The cached responses by key, and the requests that are being sent.
+ * @private
+ */
+var queryCache = {};
+var pendingQueries = {};
+
+/**
+ * Incremented on every invalidation, so a query that was sent before a write isn't cached when it finishes.
+ * @private
+ */
+var cacheGeneration = 0;
+
+/**
+ * The operations that change the items of a list, every cached query of the list is dropped when they're called.
+ * @private
+ */
+var WRITE_OPERATIONS = ["UpdateListItems", "AddAttachment", "DeleteAttachment", "CheckOutFile", "CheckInFile", "UndoCheckOut",
+    "CopyIntoItemsLocal", "RestoreVersion"];
+
+/**
+ * Resolves the cache options of a query from its cache option and the cache setting.
+ * @private
+ * @returns {Object|null} The ttl and storage of the query, null if it isn't cached.
+ */
+function cacheOptionsOf(cache) {
+    if(cache === undefined)
+        cache = settings.cache;
+    if(!cache)
+        return null;
+    return extend({}, CACHE_DEFAULTS, typeof settings.cache == "object" ? settings.cache : null, typeof cache == "object" ? cache : null);
+}
+
+/**
+ * Gets the session or local storage, if it can be used.
+ * @private
+ */
+function cacheStorage(storage) {
+    try {
+        return storage == "session" ? window.sessionStorage : storage == "local" ? window.localStorage : null;
+    } catch(e) {
+        return null;
+    }
+}
+
+/**
+ * The prefix of the keys of the cached queries of a site, or of one of its lists. The list names are compared ignoring
+ * the case, as SharePoint does.
+ * @private
+ */
+function cacheKeyPrefix(site, lName) {
+    return site.url()+"|"+(lName !== undefined ? String(lName).toLowerCase()+"|" : "");
+}
+
+/**
+ * Gets a cached response that hasn't expired, from the memory or from the storage of the query.
+ * @private
+ */
+function readCachedResponse(key, cache) {
+    var entry = queryCache[key];
+    var storage = cacheStorage(cache.storage);
+    if(!entry && storage) {
+        try {
+            entry = JSON.parse(storage.getItem(CACHE_STORAGE_PREFIX+key));
+        } catch(e) {
+            entry = null;
+        }
+        if(entry)
+            queryCache[key] = entry;
+    }
+    if(!entry)
+        return null;
+    if(entry.expires <= new Date().getTime()) {
+        dropCachedResponse(key);
+        return null;
+    }
+    var response = { status: entry.status, statusText: entry.statusText, responseText: entry.responseText };
+    readSoapResponse(response, {});
+    return response;
+}
+
+/**
+ * Caches a successful response for the ttl of the query.
+ * @private
+ */
+function writeCachedResponse(key, cache, response) {
+    var entry = {
+        expires: new Date().getTime() + cache.ttl,
+        status: response.status,
+        statusText: response.statusText,
+        responseText: response.responseText
+    };
+    queryCache[key] = entry;
+    var storage = cacheStorage(cache.storage);
+    if(storage) {
+        try {
+            storage.setItem(CACHE_STORAGE_PREFIX+key, JSON.stringify(entry));
+        } catch(e) {
+            // The storage is full or disabled: the response is just kept in memory
+        }
+    }
+}
+
+/**
+ * Drops a cached response from the memory and the storages.
+ * @private
+ */
+function dropCachedResponse(key) {
+    delete queryCache[key];
+    ["session", "local"].forEach(function(name) {
+        var storage = cacheStorage(name);
+        if(storage) {
+            try {
+                storage.removeItem(CACHE_STORAGE_PREFIX+key);
+            } catch(e) {
+                // Nothing to drop
+            }
+        }
+    });
+}
+
+/**
+ * Drops the cached queries whose key starts with a prefix.
+ * @private
+ */
+function dropCachedResponses(prefix) {
+    cacheGeneration++;
+    Object.keys(pendingQueries).forEach(function(key) {
+        if(key.indexOf(prefix) == 0)
+            delete pendingQueries[key];
+    });
+    Object.keys(queryCache).forEach(function(key) {
+        if(key.indexOf(prefix) == 0)
+            dropCachedResponse(key);
+    });
+    ["session", "local"].forEach(function(name) {
+        var storage = cacheStorage(name);
+        if(!storage)
+            return;
+        try {
+            for(var i = storage.length - 1; i >= 0; i--) {
+                var key = storage.key(i);
+                if(key && key.indexOf(CACHE_STORAGE_PREFIX+prefix) == 0)
+                    storage.removeItem(key);
+            }
+        } catch(e) {
+            // The storage can't be read
+        }
+    });
+}
+
+/**
+ * Drops the cached queries of the list that an operation writes to, or of the whole site if the operation doesn't say
+ * which list it changes (like copyFile()).
+ * @private
+ */
+function invalidateCachedQueries(site, operation, context) {
+    if(WRITE_OPERATIONS.indexOf(operation) != -1)
+        dropCachedResponses(cacheKeyPrefix(site, context.listName || undefined));
+}
+
+/**
+ * Calls GetListItems, answering from the cache when the query is cached. The same query sent again while the first one
+ * hasn't finished waits for it instead of being sent twice.
+ * @private
+ */
+function cachedQuery(site, lName, params, context, cache) {
+    cache = cacheOptionsOf(cache);
+    if(!cache)
+        return soapCall(site, "lists", "GetListItems", params, context);
+    var key;
+    try {
+        key = cacheKeyPrefix(site, lName)+soapRequest(site, "lists", "GetListItems", params).body;
+    } catch(e) {
+        return Promise.reject(reportError(operationError(e, context)));
+    }
+    var cached = readCachedResponse(key, cache);
+    if(cached)
+        return Promise.resolve(cached);
+    if(!pendingQueries[key]) {
+        var generation = cacheGeneration;
+        var pending = soapCall(site, "lists", "GetListItems", params, context).then(function(response) {
+            if(pendingQueries[key] === pending)
+                delete pendingQueries[key];
+            if(generation == cacheGeneration)
+                writeCachedResponse(key, cache, response);
+            return response;
+        }, function(error) {
+            if(pendingQueries[key] === pending)
+                delete pendingQueries[key];
+            throw error;
+        });
+        pendingQueries[key] = pending;
+    }
+    return pendingQueries[key];
+}
+
+/**
+ * Synchronous version of cachedQuery(), without the de-duplication.
+ * @private
+ * @returns {Object} The response and the error, see soapCallSync().
+ */
+function cachedQuerySync(site, lName, params, context) {
+    var cache = cacheOptionsOf();
+    if(!cache)
+        return soapCallSync(site, "lists", "GetListItems", params, context);
+    var key;
+    try {
+        key = cacheKeyPrefix(site, lName)+soapRequest(site, "lists", "GetListItems", params).body;
+    } catch(e) {
+        return { response: networkErrorResponse(), error: operationError(e, context) };
+    }
+    var cached = readCachedResponse(key, cache);
+    if(cached)
+        return { response: cached, error: null };
+    var result = soapCallSync(site, "lists", "GetListItems", params, context);
+    if(!result.error)
+        writeCachedResponse(key, cache, result.response);
+    return result;
+}
+
+/* RESILIENT MODE  */
+/**
+ * The default options of the resilient mode.
+ * @private
+ */
+var RESILIENT_DEFAULTS = { retries: 3, backoff: 1000, timeout: 30000, queue: true };
+
+/**
+ * The HTTP statuses of the failures that are worth retrying (0 is a network error or a timeout).
+ * @private
+ */
+var TRANSIENT_STATUSES = [0, 408, 429, 500, 502, 503, 504];
+
+/**
+ * Finds the Method elements that create items in the body of a request.
+ * @private
+ */
+var CREATE_METHOD = /<Method [^>]*Cmd='New'/;
+
+/**
+ * The writes that are queued while the network is down.
+ * @private
+ */
+var QUEUEABLE_OPERATIONS = ["createListItem", "updateListItem", "deleteListItem", "createNewListItem", "createExternalListItem",
+    "updateExternalListItem"];
+
+/**
+ * The key of the pending writes in the local storage.
+ * @private
+ */
+var PENDING_WRITES_KEY = "SpSnippet.pendingWrites";
+
+/**
+ * The pending writes (read from the local storage the first time), the handlers of the queue events and the replay
+ * that's running.
+ * @private
+ */
+var pendingWrites = null;
+var queueHandlers = [];
+var replaying = null;
+var queueListening = false;
+
+/**
+ * Resolves the options of the resilient mode from the resilient setting.
+ * @private
+ * @returns {Object|null} null if the resilient mode is off.
+ */
+function resilientOptions() {
+    if(!settings.resilient)
+        return null;
+    return extend({}, RESILIENT_DEFAULTS, typeof settings.resilient == "object" ? settings.resilient : null);
+}
+
+/**
+ * Whether a request creates items. SharePoint may have saved them when the request timed out, so sending it again could
+ * duplicate them.
+ * @private
+ */
+function createsItems(request) {
+    return typeof request.body == "string" && CREATE_METHOD.test(request.body);
+}
+
+/**
+ * Whether a response is a SOAP fault: SharePoint refused the request (the list doesn't exist, access denied...), so
+ * sending it again would fail the same way.
+ * @private
+ */
+function isSoapFault(response) {
+    var xml = response.status == 500 && parseXml(response.responseText);
+    return !!xml && !!xmlFirst(xml, "Fault");
+}
+
+/**
+ * Sends a request with the transport of a site. In resilient mode each attempt has a timeout, and the transient failures
+ * are retried waiting twice as long each time. The SOAP faults aren't retried, and neither are the timeouts of the requests
+ * that create items (the response of a timeout has timedOut and creates set).
+ * @private
+ * @returns {Promise<transportResponse>}
+ */
+function sendRequest(site, request) {
+    var options = resilientOptions();
+    if(!options)
+        return transportOf(site).send(request);
+    var creates = createsItems(request);
+
+    function attempt(number) {
+        var cancellation = createCancellation(request.signal);
+        var timedOut = false;
+        var timer = options.timeout > 0 ? setTimeout(function() {
+            timedOut = true;
+            cancellation.cancel();
+        }, options.timeout) : null;
+        return Promise.resolve(transportOf(site).send(extend({}, request, { signal: cancellation.signal }))).then(function(response) {
+            clearTimeout(timer);
+            if(timedOut)
+                response = { status: 0, statusText: "Timeout", responseText: "", timedOut: true, creates: creates };
+            var cancelled = response.aborted && !timedOut;
+            if(cancelled || number >= options.retries || TRANSIENT_STATUSES.indexOf(response.status) == -1 ||
+                    (timedOut && creates) || isSoapFault(response))
+                return response;
+            return new Promise(function(resolve) {
+                setTimeout(resolve, options.backoff * Math.pow(2, number));
+            }).then(function() {
+                return attempt(number + 1);
+            });
+        });
+    }
+    return attempt(0);
+}
+
+/**
+ * Whether a failed write is queued instead of reported: the resilient mode has a queue and the server couldn't be reached.
+ * A create that timed out is reported, SharePoint may have saved it.
+ * @private
+ */
+function isQueuedFailure(context, error) {
+    var options = resilientOptions();
+    var response = error.response || {};
+    return !!options && options.queue && error.status === 0 && QUEUEABLE_OPERATIONS.indexOf(context.operation) != -1 &&
+        !response.aborted && !(response.timedOut && response.creates);
+}
+
+/**
+ * Whether a write must wait in the queue without being sent: the browser is offline or there are older writes queued.
+ * @private
+ */
+function mustQueue(context) {
+    var options = resilientOptions();
+    if(!options || !options.queue || QUEUEABLE_OPERATIONS.indexOf(context.operation) == -1)
+        return false;
+    return (typeof navigator != "undefined" && navigator.onLine === false) || loadPendingWrites().length > 0;
+}
+
+/**
+ * Queues a write behind the older ones and, if the browser is online, starts sending the queue.
+ * @private
+ * @returns {pendingWrite}
+ */
+function queueWriteAndReplay(site, lName, cmd, fields, values, context) {
+    var write = queueWrite(site, lName, cmd, fields, values, context);
+    if(typeof navigator == "undefined" || navigator.onLine !== false)
+        replayPendingWrites();
+    return write;
+}
+
+/**
+ * Gets the pending writes, reading them from the local storage the first time.
+ * @private
+ */
+function loadPendingWrites() {
+    if(pendingWrites === null) {
+        try {
+            pendingWrites = JSON.parse(window.localStorage.getItem(PENDING_WRITES_KEY)) || [];
+        } catch(e) {
+            pendingWrites = [];
+        }
+    }
+    return pendingWrites;
+}
+
+/**
+ * Stores the pending writes in the local storage, so they survive a reload of the page.
+ * @private
+ */
+function savePendingWrites() {
+    try {
+        if(pendingWrites.length == 0)
+            window.localStorage.removeItem(PENDING_WRITES_KEY);
+        else
+            window.localStorage.setItem(PENDING_WRITES_KEY, JSON.stringify(pendingWrites));
+    } catch(e) {
+        // The storage is full or disabled: the writes are just kept in memory
+    }
+}
+
+/**
+ * A write that waits for the network to be sent.
+ * @typedef {Object} pendingWrite
+ * @property {number} id - The id of the write in the queue.
+ * @property {boolean} queued - Always true, it tells a queued write from a saved item.
+ * @property {string} webUrl - The URL of the site.
+ * @property {string} listName - The name of the SP list.
+ * @property {string} cmd - New, Update or Delete.
+ * @property {string[]} fields - The fields of the write.
+ * @property {Array} values - The values of the write, as SharePoint expects them.
+ * @property {string} operation - The function that queued the write.
+ * @property {number} time - When the write was queued (milliseconds since the epoch).
+ */
+
+/**
+ * The status of the queue given to the queue handlers.
+ * @typedef {Object} queueStatus
+ * @property {string} type - What happened: queued, sent, failed (SharePoint refused a replayed write), online or offline.
+ * @property {number} pending - The number of writes in the queue.
+ * @property {boolean} online - Whether the browser is online.
+ * @property {boolean} replaying - Whether the queue is being sent.
+ * @property {pendingWrite} [write] - The write of the queued, sent and failed events.
+ * @property {SpError} [error] - The reason of the failed events.
+ */
+
+/**
+ * Notifies the queue handlers.
+ * @private
+ */
+function emitQueueStatus(type, write, error) {
+    var status = {
+        type: type,
+        pending: loadPendingWrites().length,
+        online: typeof navigator == "undefined" || navigator.onLine !== false,
+        replaying: replaying !== null,
+        write: write,
+        error: error
+    };
+    queueHandlers.forEach(function(handler) {
+        try {
+            handler(status);
+        } catch(e) {
+            console.log("A queue handler failed", e);
+        }
+    });
+}
+
+/**
+ * Adds a write to the queue. The values are stored as SharePoint expects them, so they survive the JSON of the storage.
+ * @private
+ * @returns {pendingWrite}
+ */
+function queueWrite(site, lName, cmd, fields, values, context) {
+    var writes = loadPendingWrites();
+    var write = {
+        id: writes.reduce(function(max, current) {
+            return Math.max(max, current.id);
+        }, 0) + 1,
+        queued: true,
+        webUrl: site.url(),
+        listName: lName,
+        cmd: cmd,
+        fields: fields,
+        values: values.map(function(value) {
+            return value instanceof CData ? { cdata: value.value } : encodeFieldValue(value);
+        }),
+        operation: context.operation,
+        time: new Date().getTime()
+    };
+    writes.push(write);
+    savePendingWrites();
+    listenToNetwork();
+    emitQueueStatus("queued", write);
+    return write;
+}
+
+/**
+ * Replays the queue when the browser goes back online.
+ * @private
+ */
+function listenToNetwork() {
+    if(queueListening || typeof window == "undefined" || !window.addEventListener)
+        return;
+    queueListening = true;
+    window.addEventListener("online", function() {
+        emitQueueStatus("online");
+        replayPendingWrites();
+    });
+    window.addEventListener("offline", function() {
+        emitQueueStatus("offline");
+    });
+}
+
+/**
+ * Sends the pending writes in the order they were made. It's called when the browser goes back online, and it can be
+ * called by hand (a retry button). With the validateWrites setting the writes are validated here, when they're sent. A
+ * write that SharePoint refuses, that isn't valid or a create that times out is dropped with a failed event; if the
+ * network fails again the rest stay in the queue.
+ * @example <caption>Usage of the resilient mode.</caption>
+ * configure({ resilient: { retries: 5, timeout: 20000 } });
+ * addQueueHandler(function(status) {
+ *     if(status.type == "queued")
+ *         notify(status.pending + " changes pending", { level: "warning" });
+ *     if(status.type == "sent" && status.pending == 0)
+ *         notify("Every change was saved", { level: "success" });
+ *     if(status.type == "failed")
+ *         notify("A change couldn't be saved: " + status.error.errorText, { level: "error", sticky: true });
+ * });
+ * createNewListItemAsync("Visits", ["Title"], ["Plant 3"]).then(function(result) {
+ *     if(result.queued)
+ *         console.log("The visit will be saved when the network is back");
+ * });
+ *
+ * @returns {Promise<number>} Resolves with the number of writes still pending.
+ */
+function replayPendingWrites() {
+    if(replaying)
+        return replaying;
+
+    function next() {
+        var writes = loadPendingWrites();
+        if(writes.length == 0)
+            return Promise.resolve(0);
+        var write = writes[0];
+        var context = { operation: write.operation, listName: write.listName, itemId: itemIdOf(write.fields, write.values) };
+        var values = write.values.map(function(value) {
+            return value && value.cdata !== undefined ? cdata(value.cdata) : value;
+        });
+        var site = new SpSite(write.webUrl);
+        var validation = settings.validateWrites && (write.cmd == "New" || write.cmd == "Update") ?
+            validateWrite(site, write.listName, write.cmd, write.fields, values, context) : Promise.resolve();
+        return validation.then(function() {
+            return site.call("lists", "UpdateListItems", function() {
+                return {
+                    listName: write.listName,
+                    updates: rawXml(buildBatch(write.cmd, write.fields, values))
+                };
+            }, context);
+        }).then(function(response) {
+            return parseUpdateResult(response, context);
+        }).then(function() {
+            writes.shift();
+            savePendingWrites();
+            emitQueueStatus("sent", write);
+            return next();
+        }, function(error) {
+            var response = error.response || {};
+            if(error.status === 0 && !(response.timedOut && response.creates))
+                return writes.length;
+            writes.shift();
+            savePendingWrites();
+            emitQueueStatus("failed", write, error);
+            return next();
+        });
+    }
+    replaying = next().then(function(pending) {
+        replaying = null;
+        return pending;
+    });
+    return replaying;
+}
+
+/**
+ * Gets the writes that wait for the network.
+ * @returns {pendingWrite[]} A copy of the queue, in the order the writes will be sent.
+ */
+function getPendingWrites() {
+    return loadPendingWrites().slice();
+}
+
+/**
+ * Adds a handler of the changes of the queue of the resilient mode.
+ * @param {function(queueStatus)} handler
+ */
+function addQueueHandler(handler) {
+    queueHandlers.push(handler);
+}
+
+/**
+ * Removes a handler added with addQueueHandler().
+ * @param {function(queueStatus)} handler
+ */
+function removeQueueHandler(handler) {
+    queueHandlers = queueHandlers.filter(function(current) {
+        return current !== handler;
+    });
+}
+
+/* INTERNAL HELPERS  */
+/**
+ * Copies the defined properties of the sources into the target.
+ * @private
+ */
+function extend(target) {
+    for(var i = 1; i < arguments.length; i++) {
+        var source = arguments[i];
+        for(var key in source) {
+            if(source[key] !== undefined)
+                target[key] = source[key];
+        }
+    }
+    return target;
+}
+
+/**
+ * Reads the items of a list synchronously, or asynchronously if there is a callback.
+ * @private
+ */
+function syncGetListItems(site, lName, fields, query, callback, errorCallback, operation) {
+    var context = { operation: operation, listName: lName };
+    var params = function() {
+        return {
+            listName: lName,
+            query: rawXml(toCamlQuery(query)),
+            viewFields: rawXml(buildViewFields(fields))
+        };
+    };
+    if(callback) {
+        cachedQuery(site, lName, params, context).then(function(response) {
+            callback(parseListItems(response, fields));
+        }, function(error) {
+            if(errorCallback)
+                errorCallback(error);
+        });
+        return [];
+    }
+    var result = cachedQuerySync(site, lName, params, context);
+    if(result.error) {
+        reportError(result.error, errorCallback);
+        return [];
+    }
+    return parseListItems(result.response, fields);
+}
+
+/**
+ * Sends a single-method batch synchronously.
+ * @private
+ * @returns {Boolean} true if SharePoint returned the item.
+ */
+function syncSendMethod(site, lName, cmd, fields, values, context, errorCallback) {
+    if(mustQueue(context)) {
+        queueWriteAndReplay(site, lName, cmd, fields, values, context);
+        return true;
+    }
+    var invalid = settings.validateWrites && (cmd == "New" || cmd == "Update") ?
+        validateWriteSync(site, lName, cmd, fields, values, context) : null;
+    if(invalid && isQueuedFailure(context, invalid)) {
+        queueWrite(site, lName, cmd, fields, values, context);
+        return true;
+    }
+    if(invalid) {
+        reportError(invalid, errorCallback);
+        return false;
+    }
+    var result = soapCallSync(site, "lists", "UpdateListItems", function() {
+        return {
+            listName: lName,
+            updates: rawXml(buildBatch(cmd, fields, values))
+        };
+    }, context);
+    var error = result.error || updateResultError(result.response, context);
+    var newId = xmlAttr(xmlFirst(result.response.responseXML, "z:row"), "ows_ID");
+    if(!error && newId >= 0)
+        return true;
+    if(error && isQueuedFailure(context, error)) {
+        queueWrite(site, lName, cmd, fields, values, context);
+        return true;
+    }
+    reportError(error || new SpError(context.operation+" failed: SharePoint didn't return the item", extend({}, context, {
+        status: result.response.status,
+        response: result.response
+    })), errorCallback);
+    return false;
+}
+
+/**
+ * Builds the ViewFields CAML for the given fields.
+ * @private
+ */
+function buildViewFields(fields) {
+    return xmlElement("ViewFields", null, fields.map(function(field) {
+        return fieldRefXml(field);
+    }).join(""));
+}
+
+/**
+ * Converts a z:row element into a plain object.
+ * @private
+ * @param {Element} row - The z:row element.
+ * @param {string[]} [fields] - The fields to read, if omitted every ows_ attribute is read.
+ */
+function rowToObject(row, fields, types) {
+    var item = {};
+    if(fields) {
+        fields.forEach(function(field) {
+            item[field] = xmlAttr(row, 'ows_'+field);
+        });
+    } else {
+        for(var i = 0; i < row.attributes.length; i++) {
+            if(row.attributes[i].name.indexOf("ows_") == 0)
+                item[row.attributes[i].name.substring(4)] = row.attributes[i].value;
+        }
+    }
+    if(types) {
+        for(var field in item)
+            item[field] = decodeFieldValue(item[field], types[field]);
+    }
+    return item;
+}
+
+/**
+ * Reads the rows of a GetListItems response.
+ * @private
+ * @param {Object} response - The response.
+ * @param {string[]} [fields] - The fields to read.
+ * @param {Object.<string, string>} [types] - The SharePoint type of each field, to decode the values.
+ */
+function parseListItems(response, fields, types) {
+    return xmlElements(response.responseXML, "z:row").map(function(row) {
+        return rowToObject(row, fields, types);
+    });
+}
+
+/**
+ * Reads the result of a single-method UpdateListItems response.
+ * @private
+ * @param {Object} response - The response.
+ * @param {Object} context - The operation, listName and itemId reported if SharePoint returned an error.
+ * @returns {Promise<Object>} Resolves with the returned row, rejects with an SpError if SharePoint reported an error.
+ */
+function parseUpdateResult(response, context) {
+    var error = updateResultError(response, context);
+    // the version conflicts of updateListItem() are reported once the current values of the item are read
+    if(error)
+        return Promise.reject(error.errorCode == VERSION_CONFLICT && context.readsConflict ? error : reportError(error));
+    var row = xmlFirst(response.responseXML, "z:row");
+    return Promise.resolve(row ? rowToObject(row) : {});
+}
+
+/**
+ * Builds a single-method batch for UpdateListItems.
+ * @private
+ * @param {Object} [attrs] - More attributes of the Batch element (RootFolder).
+ */
+function buildBatch(cmd, fields, values, attrs) {
+    return xmlElement("Batch", extend({ OnError: "Continue", PreCalc: "TRUE" }, attrs), buildMethod(1, cmd, fields, values));
+}
+
+/**
+ * Builds a numbered Method element of a batch.
+ * @private
+ */
+function buildMethod(id, cmd, fields, values) {
+    var fieldValues = "";
+    fields.forEach(function(field, index) {
+        fieldValues += xmlElement("Field", { Name: checkFieldName(field) }, fieldValueXml(values[index]));
+    });
+    return xmlElement("Method", { ID: id, Cmd: cmd }, fieldValues);
+}
+
+/**
+ * Checks if a value is a Date.
+ * @private
+ */
+function isDate(value) {
+    return Object.prototype.toString.call(value) == "[object Date]";
+}
+
+/**
+ * Normalizes a query argument (CAML string or CamlQuery) to a CAML string.
+ * @private
+ */
+function toCamlQuery(query) {
+    return query ? String(query) : "<Query></Query>";
+}
+
+/* FIELD VALUES  */
+/**
+ * A lookup or user value.
+ * @typedef {Object} lookupValue
+ * @property {number} id - The id of the looked up item (or the user).
+ * @property {string} value - The displayed value.
+ */
+
+/**
+ * Splits a ;# separated value into its parts.
+ * @private
+ */
+function splitMultiValue(value) {
+    return value.split(";#");
+}
+
+/**
+ * Decodes a pair list like 1;#Alpha;#2;#Beta into lookup values.
+ * @private
+ */
+function decodeLookupValues(value) {
+    var parts = splitMultiValue(value);
+    var lookups = [];
+    for(var i = 0; i + 1 < parts.length; i += 2) {
+        if(parts[i] !== "")
+            lookups.push({ id: parseInt(parts[i], 10), value: parts[i + 1] });
+    }
+    return lookups;
+}
+
+/**
+ * Decodes a SharePoint date (yyyy-MM-dd HH:mm:ss or ISO 8601).
+ * @private
+ */
+function decodeDate(value) {
+    var date = new Date(value.replace(" ", "T"));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Decodes the raw value of a field returned by GetListItems into a native value.
+ * @example <caption>Usage of decodeFieldValue() function.</caption>
+ * decodeFieldValue("12;#John Doe", "User"); // { id: 12, value: "John Doe" }
+ * decodeFieldValue(";#Red;#Blue;#", "MultiChoice"); // ["Red", "Blue"]
+ * decodeFieldValue("float;#12.5", "Calculated"); // 12.5
+ *
+ * @param {string} value - The value of the ows_ attribute.
+ * @param {string} [type] - The SharePoint type of the field (Number, DateTime, Lookup, User, MultiChoice...).
+ * @returns {*} A number, Date, boolean, string, lookupValue, array or null if the field is empty. Values of unknown types are returned as they are.
+ */
+function decodeFieldValue(value, type) {
+    if(value === undefined || value === null || value === "")
+        return null;
+    switch(type) {
+        case "Counter":
+        case "Integer":
+        case "Number":
+        case "Currency":
+            return parseFloat(value);
+        case "Boolean":
+        case "Attachments":
+            return value === "1" || value.toUpperCase() === "TRUE";
+        case "DateTime":
+            return decodeDate(value);
+        case "Lookup":
+        case "User":
+            return decodeLookupValues(value)[0] || null;
+        case "LookupMulti":
+        case "UserMulti":
+            return decodeLookupValues(value);
+        case "MultiChoice":
+            return splitMultiValue(value).filter(function(choice) {
+                return choice !== "";
+            });
+        case "URL":
+            var separator = value.indexOf(", ");
+            return separator == -1 ? { url: value, description: "" } : { url: value.substring(0, separator), description: value.substring(separator + 2) };
+        case "Calculated":
+            var calculated = value.match(/^(string|float|datetime|boolean);#(.*)$/);
+            if(!calculated)
+                return value;
+            return decodeFieldValue(calculated[2], { "float": "Number", "datetime": "DateTime", "boolean": "Boolean" }[calculated[1]]);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Encodes a native value so it can be written in a field with createNewListItem() or updateListItem(). Strings and numbers
+ * are sent as they are.
+ * @example <caption>Usage of encodeFieldValue() function.</caption>
+ * encodeFieldValue(new Date(2017, 0, 5)); // "2017-01-05T06:00:00.000Z"
+ * encodeFieldValue(["Red", "Blue"]); // ";#Red;#Blue;#"
+ * encodeFieldValue({ id: 12, value: "John Doe" }); // "12"
+ *
+ * @param {*} value - A string, number, Date, boolean, lookupValue, array of choices or lookupValues, a { url, description } object
+ *        or a cdata() value.
+ * @returns {string} The value as SharePoint expects it.
+ * @throws {SpError} If the value is an object that isn't a lookupValue with an id, a URL or a cdata() value.
+ */
+function encodeFieldValue(value) {
+    if(value === undefined || value === null)
+        return "";
+    if(value instanceof CData)
+        return value.value;
+    if(isDate(value))
+        return value.toISOString();
+    if(typeof value == "boolean")
+        return value ? "1" : "0";
+    if(Array.isArray(value)) {
+        if(value.length > 0 && typeof value[0] == "object") {
+            return value.map(function(lookup) {
+                return encodeFieldValue(lookup)+";#"+(lookup.value || "");
+            }).join(";#");
+        }
+        return value.length > 0 ? ";#"+value.join(";#")+";#" : "";
+    }
+    if(typeof value == "object") {
+        if(value.url !== undefined)
+            return value.url+(value.description ? ", "+value.description : "");
+        if(value.id === undefined || value.id === null)
+            throw new SpError("The object "+JSON.stringify(value)+" isn't a field value, a lookup value needs its id");
+        return String(value.id);
+    }
+    return String(value);
+}
+
+/**
+ * Resolves the types used to decode a query, from the caller hints and, in typed mode, the list schema.
+ * @private
+ * @param {SpSite} site - The site that has the list.
+ * @param {string} lName - The name of the list.
+ * @param {string[]} fields - The fields of the query.
+ * @param {Object} options - The options of the query (typed and types).
+ * @returns {Promise<Object.<string, string>|null>} null if the values shouldn't be decoded.
+ */
+function resolveFieldTypes(site, lName, fields, options) {
+    var hints = options.types || {};
+    if(!options.typed && !options.types)
+        return Promise.resolve(null);
+    var missing = fields.filter(function(field) {
+        return !hints[field];
+    });
+    if(!options.typed || missing.length == 0)
+        return Promise.resolve(hints);
+    return site.getListSchema(lName).then(function(schema) {
+        var types = {};
+        schema.fields.forEach(function(field) {
+            types[field.name] = field.type;
+        });
+        return extend(types, hints);
+    });
+}
+
+/* CAML QUERY BUILDER  */
+/**
+ * A piece of CAML (a condition or a group of conditions) that can be combined with And/Or.
+ * @constructor
+ * @param {string} xml - The CAML of the condition.
+ */
+function CamlCondition(xml) {
+    this.xml = xml;
+}
+
+CamlCondition.prototype.toString = function() {
+    return this.xml;
+};
+
+/**
+ * Guesses the Value Type of a CAML comparison from a javascript value.
+ * @private
+ */
+function camlValueType(value) {
+    if(typeof value == "number")
+        return "Number";
+    if(typeof value == "boolean")
+        return "Boolean";
+    if(isDate(value))
+        return "DateTime";
+    return "Text";
+}
+
+/**
+ * Builds a <Value> element with the right type and an escaped value.
+ * @private
+ */
+function camlValue(value, options) {
+    var attrs = { Type: options.type || camlValueType(value) };
+    if(isDate(value)) {
+        value = value.toISOString();
+        if(options.includeTime)
+            attrs.IncludeTimeValue = "TRUE";
+    } else if(typeof value == "boolean") {
+        value = value ? 1 : 0;
+    }
+    return xmlElement("Value", attrs, escapeXml(value));
+}
+
+/**
+ * Builds a <FieldRef> element for a comparison.
+ * @private
+ */
+function camlFieldRef(field, options) {
+    return fieldRefXml(field, { LookupId: options.lookupId ? "TRUE" : null });
+}
+
+/**
+ * Reads the optional type argument of the comparison operators, which can be a Value Type or an options object.
+ * @private
+ */
+function camlOptions(type) {
+    if(!type)
+        return {};
+    return typeof type == "string" ? { type: type } : type;
+}
+
+/**
+ * Builds a comparison operator function (Eq, Neq, Gt...).
+ * @private
+ */
+function camlComparison(operator) {
+    return function(field, value, type) {
+        var options = camlOptions(type);
+        return new CamlCondition("<"+operator+">"+camlFieldRef(field, options)+camlValue(value, options)+"</"+operator+">");
+    };
+}
+
+/**
+ * Joins two or more conditions with a logical operator. CAML only allows two children per And/Or so they are nested.
+ * @private
+ */
+function camlLogical(operator, conditions) {
+    conditions = conditions.filter(function(condition) {
+        return condition;
+    });
+    if(conditions.length == 0)
+        return null;
+    var xml = String(conditions[conditions.length - 1]);
+    for(var i = conditions.length - 2; i >= 0; i--)
+        xml = "<"+operator+">"+conditions[i]+xml+"</"+operator+">";
+    return new CamlCondition(xml);
+}
+
+/**
+ * Operators to build the conditions of a CamlQuery. The type argument of the comparisons is optional, if it isn't set it is
+ * guessed from the value (Number, Boolean, DateTime or Text). It can also be an object like { type: "Integer", lookupId: true, includeTime: true }.
+ * @example <caption>Building conditions with Caml.</caption>
+ * Caml.and(
+ *     Caml.eq("Status", "Open"),
+ *     Caml.or(Caml.gt("Amount", 1000), Caml.isNull("Approver")),
+ *     Caml.in("Department", ["HR", "IT"])
+ * );
+ * @namespace
+ */
+var Caml = {
+    /** @function */
+    eq: camlComparison("Eq"),
+    /** @function */
+    neq: camlComparison("Neq"),
+    /** @function */
+    gt: camlComparison("Gt"),
+    /** @function */
+    geq: camlComparison("Geq"),
+    /** @function */
+    lt: camlComparison("Lt"),
+    /** @function */
+    leq: camlComparison("Leq"),
+    /** @function */
+    contains: camlComparison("Contains"),
+    /** @function */
+    beginsWith: camlComparison("BeginsWith"),
+    /**
+     * Matches the items whose field has any of the given values. SharePoint rejects an In without values, so an empty array
+     * gives a condition that no item matches (ID 0).
+     * @param {string} field - The internal name of the field.
+     * @param {Array} values - The accepted values.
+     * @param {string|Object} [type] - The Value Type or an options object.
+     * @returns {CamlCondition}
+     */
+    "in": function(field, values, type) {
+        var options = camlOptions(type);
+        if(values.length == 0) {
+            checkFieldName(field);
+            return Caml.eq("ID", 0, "Counter");
+        }
+        var xml = "";
+        values.forEach(function(value) {
+            xml += camlValue(value, options);
+        });
+        return new CamlCondition("<In>"+camlFieldRef(field, options)+"<Values>"+xml+"</Values></In>");
+    },
+    /**
+     * Matches the items whose field is empty.
+     * @param {string} field - The internal name of the field.
+     * @returns {CamlCondition}
+     */
+    isNull: function(field) {
+        return new CamlCondition("<IsNull>"+camlFieldRef(field, {})+"</IsNull>");
+    },
+    /**
+     * Matches the items whose field isn't empty.
+     * @param {string} field - The internal name of the field.
+     * @returns {CamlCondition}
+     */
+    isNotNull: function(field) {
+        return new CamlCondition("<IsNotNull>"+camlFieldRef(field, {})+"</IsNotNull>");
+    },
+    /**
+     * Matches the items that fulfill every condition.
+     * @param {...CamlCondition} conditions
+     * @returns {CamlCondition}
+     */
+    and: function() {
+        return camlLogical("And", Array.prototype.slice.call(arguments));
+    },
+    /**
+     * Matches the items that fulfill any of the conditions.
+     * @param {...CamlCondition} conditions
+     * @returns {CamlCondition}
+     */
+    or: function() {
+        return camlLogical("Or", Array.prototype.slice.call(arguments));
+    }
+};
+
+/**
+ * Fluent builder of CAML queries. It can be used anywhere a CAML query string is accepted.
+ * @example <caption>Usage of CamlQuery.</caption>
+ * var query = new CamlQuery()
+ *     .where(Caml.eq("Department", "HR"))
+ *     .and(Caml.gt("Salary", 1000))
+ *     .orderBy("LastName")
+ *     .orderBy("Created", false);
+ * getListItems("Employees", ["ID", "FirstName", "LastName"], query);
+ *
+ * @constructor
+ */
+function CamlQuery() {
+    this.condition = null;
+    this.orderFields = [];
+    this.groupFields = [];
+    this.collapse = false;
+}
+
+/**
+ * Sets the condition of the query, replacing the previous one.
+ * @param {CamlCondition} condition
+ * @returns {CamlQuery} The same query, to keep chaining.
+ */
+CamlQuery.prototype.where = function(condition) {
+    this.condition = condition;
+    return this;
+};
+
+/**
+ * Joins a condition to the current one with And.
+ * @param {CamlCondition} condition
+ * @returns {CamlQuery} The same query, to keep chaining.
+ */
+CamlQuery.prototype.and = function(condition) {
+    this.condition = Caml.and(this.condition, condition);
+    return this;
+};
+
+/**
+ * Joins a condition to the current one with Or.
+ * @param {CamlCondition} condition
+ * @returns {CamlQuery} The same query, to keep chaining.
+ */
+CamlQuery.prototype.or = function(condition) {
+    this.condition = Caml.or(this.condition, condition);
+    return this;
+};
+
+/**
+ * Adds a field to the order of the results.
+ * @param {string} field - The internal name of the field.
+ * @param {boolean} [ascending=true] - The direction of the order.
+ * @returns {CamlQuery} The same query, to keep chaining.
+ */
+CamlQuery.prototype.orderBy = function(field, ascending) {
+    checkFieldName(field);
+    this.orderFields.push({ name: field, ascending: ascending !== false });
+    return this;
+};
+
+/**
+ * Adds a field to group the results by.
+ * @param {string} field - The internal name of the field.
+ * @param {boolean} [collapse=false] - Whether the groups should be collapsed.
+ * @returns {CamlQuery} The same query, to keep chaining.
+ */
+CamlQuery.prototype.groupBy = function(field, collapse) {
+    checkFieldName(field);
+    this.groupFields.push(field);
+    this.collapse = this.collapse || !!collapse;
+    return this;
+};
+
+/**
+ * Builds the CAML of the query.
+ * @returns {string} The <Query> element.
+ */
+CamlQuery.prototype.toString = function() {
+    var xml = "";
+    if(this.condition)
+        xml += xmlElement("Where", null, String(this.condition));
+    if(this.groupFields.length > 0) {
+        xml += xmlElement("GroupBy", { Collapse: this.collapse ? "TRUE" : null }, this.groupFields.map(function(field) {
+            return fieldRefXml(field);
+        }).join(""));
+    }
+    if(this.orderFields.length > 0) {
+        xml += xmlElement("OrderBy", null, this.orderFields.map(function(field) {
+            return fieldRefXml(field.name, { Ascending: field.ascending ? "TRUE" : "FALSE" });
+        }).join(""));
+    }
+    return "<Query>"+xml+"</Query>";
+};
+
+/* SITES  */
+/**
+ * Client for the lists, libraries and users of a SharePoint site. Every method returns a Promise and several sites can be used
+ * side by side in the same page. The global functions of the library work with the current site.
+ * @example <caption>Usage of SpSite.</caption>
+ * var hr = new SpSite("http://example.us/sites/hr");
+ * var it = new SpSite("http://example.us/sites/it");
+ * Promise.all([
+ *     hr.getListItems("Employees", ["ID", "FirstName", "LastName"]),
+ *     it.getListItems("Tickets", ["ID", "Title"], new CamlQuery().where(Caml.eq("Status", "Open")))
+ * ]).then(function(results) {
+ *     console.log(results[0].length + " employees and " + results[1].length + " open tickets");
+ * });
+ *
+ * @constructor
+ * @param {string} [webUrl] - The URL of the site. If it's omitted the current site is used.
+ * @param {Object} [options] - The options of the site.
+ * @param {transport} [options.transport] - The transport of the requests of this site (the configured one by default).
+ */
+function SpSite(webUrl, options) {
+    this.webUrl = webUrl ? webUrl.replace(/\/+$/, "") : "";
+    this.transport = options && options.transport || null;
+}
+
+/**
+ * Gets the site to use for an optional webUrl.
+ * @private
+ */
+function siteFor(webUrl) {
+    return new SpSite(webUrl);
+}
+
+/**
+ * The absolute URL of the site.
+ * @returns {string}
+ */
+SpSite.prototype.url = function() {
+    return this.webUrl || getSiteUrl();
+};
+
+/**
+ * Calls an operation of a web service of this site, see soapCall().
+ * @private
+ */
+SpSite.prototype.call = function(service, operation, params, context) {
+    return soapCall(this, service, operation, params, context);
+};
+
+/**
+ * Sends a single-method batch to a list of this site. With the validateWrites setting the values of New and Update are
+ * checked against the schema of the list first. In resilient mode the writes are queued while the browser is offline,
+ * while older writes are still queued or when the server can't be reached.
+ * @private
+ */
+SpSite.prototype.sendMethod = function(lName, cmd, fields, values, context, attrs) {
+    var site = this;
+    // The queued writes are validated when they're sent, the schema may not be readable while offline
+    if(mustQueue(context))
+        return Promise.resolve().then(function() {
+            return queueWriteAndReplay(site, lName, cmd, fields, values, context);
+        });
+    var validation = settings.validateWrites && (cmd == "New" || cmd == "Update") ?
+        validateWrite(site, lName, cmd, fields, values, context) : Promise.resolve();
+    return validation.then(function() {
+        return site.call("lists", "UpdateListItems", function() {
+            return {
+                listName: lName,
+                updates: rawXml(buildBatch(cmd, fields, values, attrs))
+            };
+        }, context).then(function(response) {
+            return parseUpdateResult(response, context);
+        });
+    }).catch(function(error) {
+        if(isQueuedFailure(context, error))
+            return queueWrite(site, lName, cmd, fields, values, context);
+        throw error;
+    });
+};
+
+/**
+ * Gets the items of a list, see getListItemsAsync().
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {Object} [options] - The options of getListItemsAsync() (typed, types, cache).
+ * @returns {Promise<Object[]>} Resolves with an array of items (empty if nothing was found).
+ */
+SpSite.prototype.getListItems = function(lName, fields, query, options) {
+    options = options || {};
+    return Promise.all([
+        cachedQuery(this, lName, function() {
+            return {
+                listName: lName,
+                query: rawXml(toCamlQuery(query)),
+                viewFields: rawXml(buildViewFields(fields))
+            };
+        }, { operation: "getListItems", listName: lName }, options.cache),
+        resolveFieldTypes(this, lName, fields, options)
+    ]).then(function(responses) {
+        return parseListItems(responses[0], fields, responses[1]);
+    });
+};
+
+/**
+ * Gets one page of the items of a list, see getListItemsPage().
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {Object} [options] - The options of getListItemsPage() (pageSize, nextPage, folder, typed, types, cache).
+ * @returns {Promise<listItemsPage>}
+ */
+SpSite.prototype.getListItemsPage = function(lName, fields, query, options) {
+    options = options || {};
+    var pageSize = Math.min(options.pageSize || 100, LIST_VIEW_THRESHOLD);
+    var paging = options.nextPage ? xmlElement("Paging", { ListItemCollectionPositionNext: options.nextPage }) : "";
+    if(options.folder)
+        paging += xmlElement("Folder", null, escapeXml(options.folder));
+    return Promise.all([
+        cachedQuery(this, lName, function() {
+            return {
+                listName: lName,
+                query: rawXml(toCamlQuery(query)),
+                viewFields: rawXml(buildViewFields(fields)),
+                rowLimit: pageSize,
+                queryOptions: rawXml("<QueryOptions>"+paging+"</QueryOptions>")
+            };
+        }, { operation: "getListItemsPage", listName: lName }, options.cache),
+        resolveFieldTypes(this, lName, fields, options)
+    ]).then(function(responses) {
+        var nextPage = xmlAttr(xmlFirst(responses[0].responseXML, "rs:data"), "ListItemCollectionPositionNext");
+        return {
+            items: parseListItems(responses[0], fields, responses[1]),
+            nextPage: nextPage ? nextPage : null
+        };
+    });
+};
+
+/**
+ * Walks the pages of the items of a list, see listItemPages().
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {Object} [options] - The options of getListItemsPage().
+ * @returns {Object} An async iterator of listItemsPage.
+ */
+SpSite.prototype.listItemPages = function(lName, fields, query, options) {
+    var site = this;
+    options = extend({}, options);
+    var done = false;
+    var iterator = {
+        next: function() {
+            if(done)
+                return Promise.resolve({ done: true, value: undefined });
+            return site.getListItemsPage(lName, fields, query, options).then(function(page) {
+                options.nextPage = page.nextPage;
+                done = !page.nextPage;
+                return { done: false, value: page };
+            });
+        }
+    };
+    if(typeof Symbol != "undefined" && Symbol.asyncIterator) {
+        iterator[Symbol.asyncIterator] = function() {
+            return iterator;
+        };
+    }
+    return iterator;
+};
+
+/**
+ * Gets every item of a list page by page, see getAllListItems().
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {Object} [options] - The options of getAllListItems() (pageSize, onPage, typed, types).
+ * @returns {Promise<Object[]>} Resolves with the items of every page.
+ */
+SpSite.prototype.getAllListItems = function(lName, fields, query, options) {
+    options = extend({ pageSize: 2000 }, options);
+    var pages = this.listItemPages(lName, fields, query, options);
+    var listItems = [];
+    var pageNumber = 0;
+    function nextPage() {
+        return pages.next().then(function(result) {
+            if(result.done)
+                return listItems;
+            pageNumber++;
+            listItems = listItems.concat(result.value.items);
+            if(options.onPage && options.onPage(result.value.items, pageNumber) === false)
+                return listItems;
+            return nextPage();
+        });
+    }
+    return nextPage();
+};
+
+/**
+ * Drops the cached queries of a list of this site, or of every list of the site. The writes made with the library already
+ * drop the queries of their list, this is for the changes made by other users or pages.
+ * @param {string} [lName] - The name of the SP list.
+ */
+SpSite.prototype.clearCache = function(lName) {
+    dropCachedResponses(cacheKeyPrefix(this, lName));
+};
+
+/**
+ * Creates a new item in a list of this site.
+ * @param {string} lName - The name of the SP list where the item will be created.
+ * @param {string[]} fields - An array with the names of the columns that will receive a value.
+ * @param {valuesArray[]} values - An array with the values that will be set in each column.
+ * @returns {Promise<Object>} Resolves with the new item (including its ID) as returned by SharePoint.
+ */
+SpSite.prototype.createListItem = function(lName, fields, values) {
+    return this.sendMethod(lName, "New", fields, values, { operation: "createListItem", listName: lName });
+};
+
+/**
+ * Updates an item in a list of this site.
+ * @param {string} lName - The SP list name where the selected item should exist to be modified.
+ * @param {string[]} fields - The internal names of the columns to modify (must include ID).
+ * @param {valuesArray[]} values - The values that will overwrite the existing values in the declared fields.
+ * @param {Object} [options] - The options of updateListItemAsync() (version).
+ * @returns {Promise<Object>} Resolves with the updated item as returned by SharePoint.
+ */
+SpSite.prototype.updateListItem = function(lName, fields, values, options) {
+    var site = this;
+    var context = { operation: "updateListItem", listName: lName, itemId: itemIdOf(fields, values) };
+    if(!options || options.version === undefined || options.version === null)
+        return this.sendMethod(lName, "Update", fields, values, context);
+    context.readsConflict = true;
+    return this.sendMethod(lName, "Update", fields.concat("owshiddenversion"), values.concat(options.version), context).catch(function(error) {
+        if(error.errorCode != VERSION_CONFLICT)
+            throw error;
+        return readConflict(site, lName, fields, values, context).then(function(conflict) {
+            error.conflict = conflict;
+        }, function() {
+            // the current values couldn't be read, the conflict is reported without them
+        }).then(function() {
+            throw reportError(error);
+        });
+    });
+};
+
+/**
+ * The ErrorCode of SharePoint when an item was changed after the version given to an update.
+ * @constant {string}
+ */
+var VERSION_CONFLICT = "0x81020015";
+
+/**
+ * A version conflict of an update.
+ * @typedef {Object} versionConflict
+ * @property {number} itemId - The id of the item.
+ * @property {boolean} deleted - Whether the item was deleted (then version and item are null).
+ * @property {number|null} version - The current version of the item (its owshiddenversion), to overwrite it.
+ * @property {Object|null} item - The current values of the updated fields, with Modified and Editor (typed, see getListItemsAsync()).
+ * @property {Object} values - The values that couldn't be saved, by field.
+ */
+
+/**
+ * Reads the current values of an item whose update had a version conflict.
+ * @private
+ * @returns {Promise<versionConflict>}
+ */
+function readConflict(site, lName, fields, values, context) {
+    var names = ["ID", "owshiddenversion", "Modified", "Editor"].concat(fields.filter(function(field) {
+        return ["ID", "owshiddenversion", "Modified", "Editor"].indexOf(field) == -1;
+    }));
+    var attempted = {};
+    fields.forEach(function(field, index) {
+        if(field != "ID")
+            attempted[field] = values[index];
+    });
+    var itemId = parseInt(context.itemId, 10);
+    return site.getListItems(lName, names, new CamlQuery().where(Caml.eq("ID", itemId, "Counter")), { typed: true, cache: false }).then(function(items) {
+        return {
+            itemId: itemId,
+            deleted: items.length == 0,
+            version: items.length > 0 ? items[0].owshiddenversion : null,
+            item: items[0] || null,
+            values: attempted
+        };
+    });
+}
+
+/**
+ * Deletes an item in a list of this site.
+ * @param {string} lName - The SP list that has the item that will be deleted.
+ * @param {number} id - The id of the item.
+ * @returns {Promise<number>} Resolves with the id of the deleted item.
+ */
+SpSite.prototype.deleteListItem = function(lName, id) {
+    return this.sendMethod(lName, "Delete", ["ID"], [id], { operation: "deleteListItem", listName: lName, itemId: id }).then(function() {
+        return id;
+    });
+};
+
+/**
+ * Creates a batch for a list of this site, see ListBatch.
+ * @param {string} lName - The name of the SP list.
+ * @param {Object} [options] - The options of ListBatch (onError, batchSize).
+ * @returns {ListBatch}
+ */
+SpSite.prototype.batch = function(lName, options) {
+    var batch = new ListBatch(lName, extend({}, options, { webUrl: this.webUrl }));
+    batch.site = this;
+    return batch;
+};
+
+/**
+ * Uploads a file to a library of this site, see uploadFiles().
+ * @example <caption>Usage of SpSite.uploadFile().</caption>
+ * var file = document.getElementById("fileInput").files[0];
+ * new SpSite("http://example.us/sites/hr").uploadFile("EmployeesDocuments", file.name, file, [["Number", "EmployeeID", "EmployeeID", 152]])
+ *     .then(function(url) {
+ *         console.log("Uploaded to " + url);
+ *     });
+ *
+ * @param {string} lName - The library's name.
+ * @param {string} filename - The file's name.
+ * @param {File|Blob} file - The file to upload.
+ * @param {fieldsArray[]} [fields] - The values of the columns of the library.
+ * @param {Object} [options] - The options of uploadFiles() (folder, conflict, onProgress, signal).
+ * @returns {Promise<string>} Resolves with the URL of the uploaded file.
+ */
+SpSite.prototype.uploadFile = function(lName, filename, file, fields, options) {
+    return this.uploadFiles(lName, [file], extend({}, typeof options == "object" ? options : {}, {
+        name: filename,
+        fields: fields
+    })).then(function(results) {
+        if(!results[0].ok)
+            throw results[0].error;
+        return results[0].url;
+    });
+};
+
+/**
+ * The result of the upload of one file.
+ * @typedef {Object} uploadResult
+ * @property {File|Blob} file - The file.
+ * @property {string} name - The name the file was saved with (it changes with the rename conflict policy).
+ * @property {boolean} ok - Whether the file was uploaded.
+ * @property {string|null} url - The URL of the uploaded file.
+ * @property {number|null} id - The ID of the item of the file in the library.
+ * @property {boolean} cancelled - Whether the upload was cancelled before the file was completely uploaded.
+ * @property {SpError|null} error - The reason of the failure.
+ */
+
+/**
+ * The progress of an upload.
+ * @typedef {Object} uploadProgress
+ * @property {File|Blob} file - The file whose upload progressed.
+ * @property {number} index - The position of the file in the upload.
+ * @property {number} loaded - The bytes of the file sent.
+ * @property {number} total - The size of the file.
+ * @property {number} uploaded - The bytes sent of every file.
+ * @property {number} size - The size of every file.
+ */
+
+/**
+ * Uploads files to a library of this site. Each file is sent as it is with an HTTP PUT, without reading it in memory,
+ * and several files are sent at the same time. The returned Promise has a cancel() method that stops the uploads.
+ * @example <caption>Usage of SpSite.uploadFiles() with a drop zone.</caption>
+ * dropZone.addEventListener("drop", function(evt) {
+ *     evt.preventDefault();
+ *     var upload = new SpSite().uploadFiles("EmployeesDocuments", evt.dataTransfer.files, {
+ *         folder: "2017/Contracts",
+ *         conflict: "rename",
+ *         onProgress: function(progress) {
+ *             progressBar.value = progress.uploaded / progress.size;
+ *         }
+ *     });
+ *     cancelButton.onclick = upload.cancel;
+ *     upload.then(function(results) {
+ *         results.forEach(function(result) {
+ *             console.log(result.name + (result.ok ? " uploaded as item " + result.id : " failed: " + result.error.message));
+ *         });
+ *     });
+ * });
+ *
+ * @param {string} lName - The library's name.
+ * @param {File|Blob|FileList|Array} files - The files to upload.
+ * @param {Object} [options]
+ * @param {string} [options.folder] - The folder of the library where the files are saved (root folder by default).
+ * @param {string} [options.conflict=overwrite] - What to do if a file already exists: overwrite it, rename the new one
+ *        (name (1).ext, name (2).ext...) or fail (the result has the error FileExists).
+ * @param {number} [options.concurrency=3] - How many files are uploaded at the same time.
+ * @param {string|function(File, number): string} [options.name] - The name of the files, needed for the Blobs that aren't Files.
+ * @param {Object.<string, *>|fieldsArray[]|function(File, number): Object} [options.fields] - The values of the columns of the
+ *        library by internal name ({ Department: "HR" }), or as fieldsArrays.
+ * @param {function(uploadProgress)} [options.onProgress] - Called while the files are sent.
+ * @param {Object} [options.signal] - An AbortSignal that cancels the upload.
+ * @returns {Promise<uploadResult[]>} Resolves with a result per file, in the same order, once every upload finished.
+ */
+SpSite.prototype.uploadFiles = function(lName, files, options) {
+    var site = this;
+    options = extend({ conflict: "overwrite", concurrency: 3 }, options);
+    files = toFileArray(files);
+    var cancellation = createCancellation(options.signal);
+    var loaded = files.map(function() {
+        return 0;
+    });
+    var size = files.reduce(function(sum, file) {
+        return sum + (file.size || 0);
+    }, 0);
+    var results = [];
+    var next = 0;
+
+    function progress(index, bytes) {
+        loaded[index] = bytes;
+        if(options.onProgress) {
+            options.onProgress({
+                file: files[index],
+                index: index,
+                loaded: bytes,
+                total: files[index].size,
+                uploaded: loaded.reduce(function(sum, value) {
+                    return sum + value;
+                }, 0),
+                size: size
+            });
+        }
+    }
+    function worker() {
+        if(next >= files.length)
+            return Promise.resolve();
+        var index = next++;
+        return uploadOne(site, lName, files[index], index, options, cancellation.signal, progress).then(function(result) {
+            results[index] = result;
+            return worker();
+        });
+    }
+    var workers = [];
+    for(var i = 0; i < Math.min(Math.max(options.concurrency, 1), files.length); i++)
+        workers.push(worker());
+    var upload = Promise.all(workers).then(function() {
+        return results;
+    });
+    upload.cancel = cancellation.cancel;
+    return upload;
+};
+
+/**
+ * Normalizes the files of an upload (a File, a Blob, a FileList or an array) to an array.
+ * @private
+ */
+function toFileArray(files) {
+    if(!files)
+        return [];
+    if(typeof files.length == "number" && typeof files.slice != "function")
+        return Array.prototype.slice.call(files);
+    return Array.isArray(files) ? files.slice() : [files];
+}
+
+/**
+ * Creates the cancellation of an upload: a signal that the transports understand and the function that aborts it.
+ * @private
+ * @param {Object} [parent] - An AbortSignal given by the caller, which also cancels it.
+ */
+function createCancellation(parent) {
+    var listeners = [];
+    var signal = {
+        aborted: false,
+        addEventListener: function(type, listener) {
+            if(type == "abort")
+                listeners.push(listener);
+        }
+    };
+    function cancel() {
+        if(signal.aborted)
+            return;
+        signal.aborted = true;
+        listeners.forEach(function(listener) {
+            listener();
+        });
+    }
+    if(parent) {
+        if(parent.aborted)
+            cancel();
+        else
+            parent.addEventListener("abort", cancel);
+    }
+    return { signal: signal, cancel: cancel };
+}
+
+/**
+ * Uploads one file of uploadFiles(): resolves its name, sends it, finds its item and sets its fields.
+ * @private
+ * @returns {Promise<uploadResult>} It never rejects, the error is in the result.
+ */
+function uploadOne(site, lName, file, index, options, signal, progress) {
+    var context = { operation: "uploadFiles", listName: lName };
+    var folder = options.folder ? String(options.folder).replace(/^\/+|\/+$/g, "") : "";
+    var folderUrl = site.url()+"/"+lName+(folder ? "/"+folder : "");
+    var name = uploadName(file, index, options);
+    var result = { file: file, name: name, ok: false, url: null, id: null, cancelled: false, error: null };
+
+    function checkCancelled() {
+        if(signal.aborted)
+            throw reportError(new SpError(context.operation+" failed: the upload was cancelled", context));
+    }
+    return Promise.resolve().then(function() {
+        checkCancelled();
+        if(!name)
+            throw reportError(new SpError(context.operation+" failed: the file has no name", context));
+        return uniqueFileName(site, folderUrl, name, options.conflict, context);
+    }).then(function(fileName) {
+        checkCancelled();
+        result.name = fileName;
+        result.url = folderUrl+"/"+fileName;
+        return transportOf(site).send({
+            url: folderUrl+"/"+encodeURIComponent(fileName),
+            method: "PUT",
+            headers: { "Content-Type": file.type || "application/octet-stream" },
+            body: file,
+            signal: signal,
+            onUploadProgress: function(bytes) {
+                progress(index, bytes);
+            }
+        });
+    }).then(function(response) {
+        checkCancelled();
+        dropCachedResponses(cacheKeyPrefix(site, lName));
+        if(response.status < 200 || response.status >= 300)
+            throw reportError(requestError(response, context));
+        progress(index, file.size || 0);
+        return site.call("lists", "GetListItems", function() {
+            return {
+                listName: lName,
+                query: rawXml(new CamlQuery().where(Caml.eq("FileLeafRef", result.name, "File")).toString()),
+                viewFields: rawXml(buildViewFields(["ID"])),
+                rowLimit: 1,
+                queryOptions: rawXml(xmlElement("QueryOptions", null, folder ? xmlElement("Folder", null, escapeXml(folderUrl)) : ""))
+            };
+        }, context);
+    }).then(function(response) {
+        var id = xmlAttr(xmlFirst(response.responseXML, "z:row"), "ows_ID");
+        result.id = id ? parseInt(id, 10) : null;
+        var fields = typeof options.fields == "function" ? options.fields(file, index) : options.fields;
+        var names = !fields ? [] : Array.isArray(fields) ? fields.map(function(field) {
+            return field[2];
+        }) : Object.keys(fields);
+        if(!result.id || names.length == 0)
+            return null;
+        return site.sendMethod(lName, "Update", ["ID"].concat(names), [result.id].concat(names.map(function(name, i) {
+            return Array.isArray(fields) ? fields[i][3] : fields[name];
+        })), extend({ itemId: result.id }, context));
+    }).then(function() {
+        result.ok = true;
+        return result;
+    }, function(error) {
+        result.cancelled = signal.aborted;
+        result.error = error;
+        return result;
+    });
+}
+
+/**
+ * Gets the name of a file of an upload, from the name option or the File itself.
+ * @private
+ */
+function uploadName(file, index, options) {
+    return typeof options.name == "function" ? options.name(file, index) : options.name || file.name;
+}
+
+/**
+ * Resolves the name of an uploaded file with the conflict policy.
+ * @private
+ * @returns {Promise<string>} The name to save the file with. Rejects with a FileExists error if the file exists and the policy is fail.
+ */
+function uniqueFileName(site, folderUrl, name, conflict, context, attempt) {
+    if(conflict != "rename" && conflict != "fail")
+        return Promise.resolve(name);
+    attempt = attempt || 0;
+    var candidate = attempt ? name.replace(/(\.[^.]*)?$/, " ("+attempt+")$1") : name;
+    return transportOf(site).send({
+        url: folderUrl+"/"+encodeURIComponent(candidate),
+        method: "HEAD",
+        headers: {},
+        body: null
+    }).then(function(response) {
+        if(response.status == 404)
+            return candidate;
+        if(response.status < 200 || response.status >= 300)
+            throw reportError(requestError(response, context));
+        if(conflict == "fail") {
+            throw reportError(new SpError(context.operation+" failed: "+name+" already exists", extend({
+                errorCode: "FileExists",
+                errorText: "The file already exists"
+            }, context)));
+        }
+        return uniqueFileName(site, folderUrl, name, conflict, context, attempt + 1);
+    });
+}
+
+/**
+ * Deletes a file from a library of this site.
+ * @param {string} lName - The name of the library that the file belongs to.
+ * @param {string} filePath - The URL of the file that will be deleted.
+ * @param {number} id - The item's id.
+ * @returns {Promise<number>} Resolves with the id of the deleted file.
+ */
+SpSite.prototype.deleteFile = function(lName, filePath, id) {
+    return this.sendMethod(lName, "Delete", ["ID", "FileRef"], [id, filePath], { operation: "deleteFile", listName: lName, itemId: id }).then(function() {
+        return id;
+    });
+};
+
+/**
+ * A field of a list.
+ * @typedef {Object} fieldSchema
+ * @property {string} name - The internal name.
+ * @property {string} displayName - The name shown to the users.
+ * @property {string} type - The SharePoint type (Text, Note, Number, DateTime, Boolean, Choice, MultiChoice, Lookup, User...).
+ * @property {boolean} required - Whether the field must have a value.
+ * @property {boolean} readOnly - Whether the value is set by SharePoint (ID, Created, Author, calculated fields...).
+ * @property {boolean} hidden - Whether the field is hidden from the forms.
+ * @property {boolean} multiple - Whether the field has several values (MultiChoice, LookupMulti, UserMulti).
+ * @property {string[]|null} choices - The choices of the Choice and MultiChoice fields.
+ * @property {boolean} fillIn - Whether a Choice field also accepts values that aren't in its choices.
+ * @property {Object|null} lookup - The target of the Lookup and User fields: the GUID of the list (listId) and the field
+ *           shown (showField).
+ * @property {string|null} defaultValue - The default value, as SharePoint stores it ([today] for the current date).
+ * @property {number|null} maxLength - The maximum length of the Text fields.
+ * @property {number|null} min - The minimum value of the Number and Currency fields.
+ * @property {number|null} max - The maximum value of the Number and Currency fields.
+ */
+
+/**
+ * The definition of a list.
+ * @typedef {Object} listSchema
+ * @property {string} id - The GUID of the list.
+ * @property {string} title - The title of the list.
+ * @property {fieldSchema[]} fields - The fields of the list.
+ * @property {Object.<string, fieldSchema>} fieldsByName - The same fields by internal name.
+ * @property {Object} [view] - With the view option, the view: its GUID (id), its name and the internal names of its fields.
+ */
+
+/**
+ * Cache of the list schemas by site, list and view: the requests, and the schemas already read (for the synchronous writes).
+ * @private
+ */
+var listSchemaCache = {};
+var loadedListSchemas = {};
+
+/**
+ * Gets the child elements of a node with a name, unlike xmlElements() it doesn't look inside them.
+ * @private
+ */
+function xmlChildren(node, name) {
+    var children = [];
+    for(var child = node ? node.firstChild : null; child; child = child.nextSibling) {
+        if(child.nodeType == 1 && (child.nodeName == name || child.localName == name))
+            children.push(child);
+    }
+    return children;
+}
+
+/**
+ * Reads a <Field> element of the definition of a list.
+ * @private
+ */
+function readFieldSchema(field) {
+    var type = field.getAttribute("Type");
+    var choices = xmlChildren(field, "CHOICES");
+    var defaultValue = xmlChildren(field, "Default")[0];
+    var lookupList = field.getAttribute("List");
+    return {
+        name: field.getAttribute("Name"),
+        displayName: field.getAttribute("DisplayName"),
+        type: type,
+        required: field.getAttribute("Required") == "TRUE",
+        readOnly: field.getAttribute("ReadOnly") == "TRUE",
+        hidden: field.getAttribute("Hidden") == "TRUE",
+        multiple: type == "MultiChoice" || field.getAttribute("Mult") == "TRUE",
+        choices: choices.length > 0 ? xmlChildren(choices[0], "CHOICE").map(function(choice) {
+            return choice.textContent;
+        }) : null,
+        fillIn: field.getAttribute("FillInChoice") == "TRUE",
+        lookup: lookupList ? { listId: lookupList, showField: field.getAttribute("ShowField") || "Title" } : null,
+        defaultValue: defaultValue ? defaultValue.textContent : null,
+        maxLength: numberAttr(field, "MaxLength"),
+        min: numberAttr(field, "Min"),
+        max: numberAttr(field, "Max")
+    };
+}
+
+/**
+ * Reads a numeric attribute of an element.
+ * @private
+ * @returns {number|null} null if it's missing.
+ */
+function numberAttr(element, name) {
+    var value = parseFloat(element.getAttribute(name));
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Reads the schema of a list from a GetList or GetListAndView response.
+ * @private
+ * @returns {listSchema}
+ */
+function readListSchema(responseXML, withView) {
+    var list = xmlFirst(responseXML, "List");
+    var schema = {
+        id: xmlAttr(list, "ID"),
+        title: xmlAttr(list, "Title"),
+        fields: xmlChildren(xmlFirst(list, "Fields"), "Field").map(readFieldSchema),
+        fieldsByName: {}
+    };
+    schema.fields.forEach(function(field) {
+        schema.fieldsByName[field.name] = field;
+    });
+    if(withView) {
+        var view = xmlFirst(responseXML, "View");
+        schema.view = {
+            id: xmlAttr(view, "Name"),
+            name: xmlAttr(view, "DisplayName"),
+            fields: xmlChildren(xmlFirst(view, "ViewFields"), "FieldRef").map(function(fieldRef) {
+                return fieldRef.getAttribute("Name");
+            })
+        };
+    }
+    return schema;
+}
+
+/**
+ * Reads the schema of a list synchronously, for the validation of the synchronous writes. It shares the cache of
+ * getListSchema().
+ * @private
+ * @returns {Object} The schema, or the error if it couldn't be read.
+ */
+function syncListSchema(site, lName) {
+    var key = site.url()+"|"+lName;
+    if(loadedListSchemas[key])
+        return { schema: loadedListSchemas[key], error: null };
+    var result = soapCallSync(site, "lists", "GetList", { listName: lName }, { operation: "getListSchema", listName: lName });
+    if(result.error)
+        return { schema: null, error: result.error };
+    loadedListSchemas[key] = readListSchema(result.response.responseXML, false);
+    listSchemaCache[key] = Promise.resolve(loadedListSchemas[key]);
+    return { schema: loadedListSchemas[key], error: null };
+}
+
+/**
+ * Reads the definition of a list of this site: its fields with their types, choices, lookups and defaults. It's requested
+ * once per list and page, and it's used by the typed queries and by the validateWrites setting.
+ * @example <caption>Usage of SpSite.getListSchema().</caption>
+ * new SpSite().getListSchema("Employees").then(function(schema) {
+ *     schema.fields.filter(function(field) {
+ *         return !field.hidden && !field.readOnly;
+ *     }).forEach(function(field) {
+ *         console.log(field.displayName + " (" + field.name + "): " + field.type + (field.required ? ", required" : ""));
+ *     });
+ *     console.log(schema.fieldsByName.Department.choices);
+ * });
+ *
+ * @param {string} lName - The name of the SP list.
+ * @param {Object} [options]
+ * @param {string} [options.view] - The name (GUID) of a view whose fields are read too, "" for the default view.
+ * @param {boolean} [options.refresh=false] - Reads the definition again instead of using the cached one.
+ * @returns {Promise<listSchema>}
+ */
+SpSite.prototype.getListSchema = function(lName, options) {
+    options = options || {};
+    var withView = typeof options.view == "string";
+    var key = this.url()+"|"+lName+(withView ? "|"+options.view : "");
+    var context = { operation: "getListSchema", listName: lName };
+    if(options.refresh)
+        delete listSchemaCache[key];
+    if(!listSchemaCache[key]) {
+        var request = withView ? this.call("lists", "GetListAndView", {
+            listName: lName,
+            viewName: options.view
+        }, context) : this.call("lists", "GetList", {
+            listName: lName
+        }, context);
+        listSchemaCache[key] = request.then(function(response) {
+            var schema = readListSchema(response.responseXML, withView);
+            loadedListSchemas[key] = schema;
+            return schema;
+        }, function(error) {
+            delete listSchemaCache[key];
+            throw error;
+        });
+    }
+    return listSchemaCache[key];
+};
+
+/**
+ * The fields the library writes itself (the item to update, its version and the folders), they aren't checked against the
+ * schema since SharePoint reports them as read only.
+ * @private
+ */
+var UNCHECKED_FIELDS = ["ID", "FileRef", "owshiddenversion", "FSObjType", "BaseName"];
+
+/**
+ * Checks the fields and values of a New or Update command against the schema of the list: unknown and read only fields,
+ * empty required fields and values that aren't choices of the field.
+ * @private
+ * @returns {string[]} The problems found, empty if the values can be sent.
+ */
+function schemaProblems(schema, cmd, fields, values) {
+    var problems = [];
+    fields.forEach(function(name, index) {
+        var field = schema.fieldsByName[name];
+        if(UNCHECKED_FIELDS.indexOf(name) != -1)
+            return;
+        var value;
+        try {
+            value = encodeFieldValue(values[index]);
+        } catch(e) {
+            problems.push(e.message+" ("+name+")");
+            return;
+        }
+        if(!field)
+            problems.push(name+" isn't a field of the list");
+        else if(field.readOnly)
+            problems.push(name+" is read only");
+        else if(field.required && value === "")
+            problems.push(name+" is required");
+        else if(field.choices && !field.fillIn && value !== "") {
+            var invalid = (field.multiple ? splitMultiValue(value) : [value]).filter(function(choice) {
+                return choice !== "" && field.choices.indexOf(choice) == -1;
+            });
+            if(invalid.length > 0)
+                problems.push(invalid.join(", ")+" isn't a choice of "+name);
+        }
+    });
+    if(cmd == "New") {
+        schema.fields.forEach(function(field) {
+            if(field.required && !field.readOnly && field.defaultValue === null && fields.indexOf(field.name) == -1)
+                problems.push(field.name+" is required");
+        });
+    }
+    return problems;
+}
+
+/**
+ * Checks the values of a new or updated item against the schema of the list, see the validateWrites setting.
+ * @private
+ * @returns {Promise} Rejects with an SpError (errorCode InvalidValues) that lists the problems.
+ */
+function validateWrite(site, lName, cmd, fields, values, context) {
+    return site.getListSchema(lName).then(function(schema) {
+        var problems = schemaProblems(schema, cmd, fields, values);
+        if(problems.length > 0)
+            throw reportError(invalidValuesError(problems, context));
+    });
+}
+
+/**
+ * Checks the values of a new or updated item synchronously, see validateWrite().
+ * @private
+ * @returns {SpError|null} The error of the problems found or of the schema request, null if the values can be sent.
+ */
+function validateWriteSync(site, lName, cmd, fields, values, context) {
+    var result = syncListSchema(site, lName);
+    if(result.error)
+        return result.error;
+    var problems = schemaProblems(result.schema, cmd, fields, values);
+    return problems.length > 0 ? invalidValuesError(problems, context) : null;
+}
+
+/**
+ * Builds the InvalidValues error of the problems found by schemaProblems().
+ * @private
+ */
+function invalidValuesError(problems, context) {
+    return new SpError(context.operation+" failed: "+problems.join("; "), extend({
+        errorCode: "InvalidValues",
+        errorText: problems.join("\n")
+    }, context));
+}
+
+/* DOCUMENT LIBRARIES  */
+/**
+ * Builds the absolute URL of a path of a library.
+ * @private
+ * @param {SpSite} site - The site that has the library.
+ * @param {string} lName - The library's name (as it's in its URL).
+ * @param {string} [path] - The path of a folder or file inside the library (2017/Contracts).
+ */
+function libraryUrl(site, lName, path) {
+    path = path ? String(path).replace(/^\/+|\/+$/g, "") : "";
+    return site.url()+"/"+lName+(path ? "/"+path : "");
+}
+
+/**
+ * Removes the protocol and the host of a URL.
+ * @private
+ */
+function serverRelativeUrl(url) {
+    return url.replace(/^[a-z]+:\/\/[^\/]+/i, "");
+}
+
+/**
+ * Finds the ID of the item of a file or folder by its URL.
+ * @private
+ * @returns {Promise<number>} Rejects with a NotFound error if the library has no such file or folder.
+ */
+function findItemId(site, lName, url, context) {
+    return site.call("lists", "GetListItems", function() {
+        return {
+            listName: lName,
+            query: rawXml(new CamlQuery().where(Caml.eq("FileRef", serverRelativeUrl(url))).toString()),
+            viewFields: rawXml(buildViewFields(["ID"])),
+            rowLimit: 1,
+            queryOptions: rawXml(xmlElement("QueryOptions", null, xmlElement("ViewAttributes", { Scope: "RecursiveAll" })))
+        };
+    }, context).then(function(response) {
+        var id = xmlAttr(xmlFirst(response.responseXML, "z:row"), "ows_ID");
+        if(!id) {
+            throw reportError(new SpError(context.operation+" failed: "+url+" doesn't exist", extend({
+                errorCode: "NotFound",
+                errorText: "The file or folder doesn't exist"
+            }, context)));
+        }
+        return parseInt(id, 10);
+    });
+}
+
+/**
+ * Creates a folder in a library of this site. The parent folders must exist.
+ * @example <caption>Usage of SpSite.createFolder().</caption>
+ * new SpSite().createFolder("EmployeesDocuments", "2017/Contracts").then(function(folder) {
+ *     console.log("Folder created with ID " + folder.ID);
+ * });
+ *
+ * @param {string} lName - The library's name.
+ * @param {string} folderPath - The path of the new folder inside the library.
+ * @returns {Promise<Object>} Resolves with the item of the folder as returned by SharePoint.
+ */
+SpSite.prototype.createFolder = function(lName, folderPath) {
+    var parts = String(folderPath).replace(/^\/+|\/+$/g, "").split("/");
+    var name = parts.pop();
+    return this.sendMethod(lName, "New", ["FSObjType", "BaseName"], [1, name], { operation: "createFolder", listName: lName }, {
+        RootFolder: serverRelativeUrl(libraryUrl(this, lName, parts.join("/")))
+    });
+};
+
+/**
+ * Renames a folder of a library of this site.
+ * @param {string} lName - The library's name.
+ * @param {string} folderPath - The path of the folder inside the library.
+ * @param {string} newName - The new name of the folder.
+ * @returns {Promise<Object>} Resolves with the item of the folder as returned by SharePoint.
+ */
+SpSite.prototype.renameFolder = function(lName, folderPath, newName) {
+    var site = this;
+    var url = libraryUrl(this, lName, folderPath);
+    var context = { operation: "renameFolder", listName: lName };
+    return findItemId(this, lName, url, context).then(function(id) {
+        return site.sendMethod(lName, "Update", ["ID", "FileRef", "BaseName"], [id, url, newName], extend({ itemId: id }, context));
+    });
+};
+
+/**
+ * Deletes a folder of a library of this site with all its contents.
+ * @param {string} lName - The library's name.
+ * @param {string} folderPath - The path of the folder inside the library.
+ * @returns {Promise<number>} Resolves with the id of the deleted folder.
+ */
+SpSite.prototype.deleteFolder = function(lName, folderPath) {
+    var site = this;
+    var url = libraryUrl(this, lName, folderPath);
+    var context = { operation: "deleteFolder", listName: lName };
+    return findItemId(this, lName, url, context).then(function(id) {
+        return site.deleteFile(lName, url, id);
+    });
+};
+
+/**
+ * A file or folder of a library.
+ * @typedef {Object} folderEntry
+ * @property {number} id - The ID of its item.
+ * @property {string} name - The name of the file or folder.
+ * @property {string} url - The absolute URL.
+ * @property {boolean} isFolder - Whether it's a folder.
+ * @property {number|null} size - The size of the file in bytes (null for folders).
+ * @property {Date} created - When it was created.
+ * @property {lookupValue} createdBy - Who created it.
+ * @property {Date} modified - When it was modified for the last time.
+ * @property {lookupValue} modifiedBy - Who modified it for the last time.
+ * @property {lookupValue|null} checkedOutTo - The user that has the file checked out.
+ * @property {string} version - The current version (1.0, 2.3...).
+ */
+
+/**
+ * The fields read for the folder entries.
+ * @private
+ */
+var FOLDER_ENTRY_FIELDS = ["ID", "FileLeafRef", "FileRef", "FSObjType", "File_x0020_Size", "Created", "Author", "Modified", "Editor", "CheckoutUser", "_UIVersionString"];
+
+/**
+ * Lists the files and folders of a folder of a library of this site (the folders first).
+ * @example <caption>Usage of SpSite.getFolderContents().</caption>
+ * new SpSite().getFolderContents("EmployeesDocuments", "2017").then(function(entries) {
+ *     entries.forEach(function(entry) {
+ *         console.log((entry.isFolder ? "[folder] " : "") + entry.name + " modified by " + entry.modifiedBy.value);
+ *     });
+ * });
+ *
+ * @param {string} lName - The library's name.
+ * @param {string} [folderPath] - The path of the folder inside the library (the root folder by default).
+ * @returns {Promise<folderEntry[]>}
+ */
+SpSite.prototype.getFolderContents = function(lName, folderPath) {
+    var origin = this.url().match(/^[a-z]+:\/\/[^\/]+/i);
+    var query = new CamlQuery().orderBy("FSObjType", false).orderBy("FileLeafRef");
+    return this.getAllListItems(lName, FOLDER_ENTRY_FIELDS, query, {
+        folder: folderPath ? libraryUrl(this, lName, folderPath) : undefined
+    }).then(function(items) {
+        return items.map(function(item) {
+            var path = decodeFieldValue(item.FileRef, "Lookup").value;
+            var isFolder = decodeFieldValue(item.FSObjType, "Lookup").value == "1";
+            var size = decodeFieldValue(item.File_x0020_Size, "Lookup");
+            return {
+                id: parseInt(item.ID, 10),
+                name: decodeFieldValue(item.FileLeafRef, "Lookup").value,
+                url: (origin ? origin[0] : "")+"/"+path.replace(/^\/+/, ""),
+                isFolder: isFolder,
+                size: !isFolder && size && size.value ? parseFloat(size.value) : null,
+                created: decodeFieldValue(item.Created, "DateTime"),
+                createdBy: decodeFieldValue(item.Author, "User"),
+                modified: decodeFieldValue(item.Modified, "DateTime"),
+                modifiedBy: decodeFieldValue(item.Editor, "User"),
+                checkedOutTo: decodeFieldValue(item.CheckoutUser, "User"),
+                version: item._UIVersionString || null
+            };
+        });
+    });
+};
+
+/**
+ * Downloads the contents of a file.
+ * @example <caption>Usage of SpSite.downloadFile().</caption>
+ * new SpSite().downloadFile("http://example.us/sites/hr/EmployeesDocuments/JohnDoe.txt").then(function(blob) {
+ *     link.href = URL.createObjectURL(blob);
+ * });
+ *
+ * @param {string} fileUrl - The URL of the file.
+ * @returns {Promise<Blob>}
+ */
+SpSite.prototype.downloadFile = function(fileUrl) {
+    var context = { operation: "downloadFile" };
+    var site = this;
+    return new Promise(function(resolve) {
+        resolve(transportOf(site).send({
+            url: fileUrl,
+            method: "GET",
+            headers: {},
+            body: null,
+            responseType: "blob"
+        }));
+    }).then(function(response) {
+        if(response.status < 200 || response.status >= 300)
+            throw reportError(requestError(response, context));
+        return response.body;
+    });
+};
+
+/**
+ * Copies a file with Copy.asmx. The destination is overwritten if it exists.
+ * @param {string} sourceUrl - The URL of the file.
+ * @param {string} destinationUrl - The URL of the copy (in this site or in another one of the same site collection).
+ * @returns {Promise<string>} Resolves with the URL of the copy.
+ */
+SpSite.prototype.copyFile = function(sourceUrl, destinationUrl) {
+    var context = { operation: "copyFile" };
+    return this.call("copy", "CopyIntoItemsLocal", function() {
+        return {
+            SourceUrl: sourceUrl,
+            DestinationUrls: rawXml(xmlElement("string", null, escapeXml(destinationUrl)))
+        };
+    }, context).then(function(response) {
+        var result = xmlFirst(response.responseXML, "CopyResult");
+        if(result && result.getAttribute("ErrorCode") != "Success") {
+            throw reportError(new SpError(context.operation+" failed: "+(result.getAttribute("ErrorMessage") || result.getAttribute("ErrorCode")), extend({}, context, {
+                status: response.status,
+                errorCode: result.getAttribute("ErrorCode"),
+                errorText: result.getAttribute("ErrorMessage"),
+                response: response
+            })));
+        }
+        return destinationUrl;
+    });
+};
+
+/**
+ * Moves a file: it's copied and then the original is deleted. The copy starts a new version history.
+ * @param {string} lName - The library of the file.
+ * @param {string} sourceUrl - The URL of the file.
+ * @param {string} destinationUrl - The new URL of the file.
+ * @returns {Promise<string>} Resolves with the new URL of the file.
+ */
+SpSite.prototype.moveFile = function(lName, sourceUrl, destinationUrl) {
+    var site = this;
+    return this.copyFile(sourceUrl, destinationUrl).then(function() {
+        return findItemId(site, lName, sourceUrl, { operation: "moveFile", listName: lName });
+    }).then(function(id) {
+        return site.deleteFile(lName, sourceUrl, id);
+    }).then(function() {
+        return destinationUrl;
+    });
+};
+
+/**
+ * Reads the boolean result of CheckOutFile, CheckInFile and UndoCheckOut.
+ * @private
+ */
+function checkOutResult(response, resultName, context) {
+    if(xmlText(response.responseXML, resultName) != "true")
+        throw reportError(new SpError(context.operation+" failed: SharePoint refused the operation", extend({ status: response.status, response: response }, context)));
+    return true;
+}
+
+/**
+ * Checks out a file.
+ * @param {string} fileUrl - The URL of the file.
+ * @returns {Promise<boolean>} Resolves with true.
+ */
+SpSite.prototype.checkOutFile = function(fileUrl) {
+    var context = { operation: "checkOutFile" };
+    return this.call("lists", "CheckOutFile", {
+        pageUrl: fileUrl,
+        checkoutToLocal: "false",
+        lastmodified: ""
+    }, context).then(function(response) {
+        return checkOutResult(response, "CheckOutFileResult", context);
+    });
+};
+
+/**
+ * The types of check in.
+ * @private
+ */
+var CHECK_IN_TYPES = { minor: 0, major: 1, overwrite: 2 };
+
+/**
+ * Checks in a file.
+ * @example <caption>Usage of SpSite.checkInFile().</caption>
+ * new SpSite().checkInFile(docUrl, "Salary updated", "major");
+ *
+ * @param {string} fileUrl - The URL of the file.
+ * @param {string} [comment] - The comment of the new version.
+ * @param {string} [checkInType=minor] - minor, major or overwrite (keeps the current version).
+ * @returns {Promise<boolean>} Resolves with true.
+ */
+SpSite.prototype.checkInFile = function(fileUrl, comment, checkInType) {
+    var context = { operation: "checkInFile" };
+    return this.call("lists", "CheckInFile", {
+        pageUrl: fileUrl,
+        comment: comment || "",
+        CheckinType: CHECK_IN_TYPES[checkInType || "minor"]
+    }, context).then(function(response) {
+        return checkOutResult(response, "CheckInFileResult", context);
+    });
+};
+
+/**
+ * Discards the check out of a file and its changes.
+ * @param {string} fileUrl - The URL of the file.
+ * @returns {Promise<boolean>} Resolves with true.
+ */
+SpSite.prototype.undoCheckOut = function(fileUrl) {
+    var context = { operation: "undoCheckOut" };
+    return this.call("lists", "UndoCheckOut", { pageUrl: fileUrl }, context).then(function(response) {
+        return checkOutResult(response, "UndoCheckOutResult", context);
+    });
+};
+
+/**
+ * A version of a file.
+ * @typedef {Object} fileVersion
+ * @property {string} version - The version label (1.0, 2.3...).
+ * @property {boolean} current - Whether it's the current version.
+ * @property {string} url - The URL of the contents of this version.
+ * @property {Date} created - When the version was created.
+ * @property {string} createdBy - The login of the user that created it.
+ * @property {number} size - The size in bytes.
+ * @property {string} comments - The comment of the check in.
+ */
+
+/**
+ * Lists the versions of a file, the current one first.
+ * @param {string} fileUrl - The URL of the file.
+ * @returns {Promise<fileVersion[]>}
+ */
+SpSite.prototype.getFileVersions = function(fileUrl) {
+    return this.call("versions", "GetVersions", { fileName: fileUrl }, { operation: "getFileVersions" }).then(readFileVersions);
+};
+
+/**
+ * Reads the versions of a GetVersions or RestoreVersion response.
+ * @private
+ */
+function readFileVersions(response) {
+    return xmlElements(response.responseXML, "result").map(function(result) {
+        var version = result.getAttribute("version") || "";
+        return {
+            version: version.replace(/^@/, ""),
+            current: version.charAt(0) == "@",
+            url: result.getAttribute("url"),
+            created: decodeDate(result.getAttribute("createdRaw") || result.getAttribute("created") || ""),
+            createdBy: result.getAttribute("createdBy"),
+            size: parseFloat(result.getAttribute("size")) || 0,
+            comments: result.getAttribute("comments") || ""
+        };
+    });
+}
+
+/**
+ * Restores a previous version of a file, which becomes a new version.
+ * @param {string} fileUrl - The URL of the file.
+ * @param {string} version - The version to restore (1.0, 2.3...).
+ * @returns {Promise<fileVersion[]>} Resolves with the versions of the file after the restore.
+ */
+SpSite.prototype.restoreFileVersion = function(fileUrl, version) {
+    return this.call("versions", "RestoreVersion", {
+        fileName: fileUrl,
+        fileVersion: String(version).replace(/^@/, "")
+    }, { operation: "restoreFileVersion" }).then(readFileVersions);
+};
+
+/* ATTACHMENTS  */
+/**
+ * Reads a File or Blob as a base64 string.
+ * @private
+ */
+function readAsBase64(file, context) {
+    return new Promise(function(resolve, reject) {
+        var filereader = new FileReader();
+        filereader.onload = function() {
+            var data = filereader.result;
+            resolve(data.substring(data.indexOf(";base64,")+8));
+        };
+        filereader.onerror = function() {
+            reject(reportError(new SpError(context.operation+" failed: the file couldn't be read", context)));
+        };
+        filereader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Adds files as attachments of an item of a list of this site. They're sent one after the other, and the returned Promise
+ * has a cancel() method that stops the ones that weren't sent yet.
+ * @example <caption>Usage of SpSite.addAttachments().</caption>
+ * new SpSite().addAttachments("Requests", 12, document.getElementById("documents").files).then(function(results) {
+ *     results.forEach(function(result) {
+ *         console.log(result.name + (result.ok ? " attached at " + result.url : " failed: " + result.error.message));
+ *     });
+ * });
+ *
+ * @param {string} lName - The name of the SP list.
+ * @param {number} id - The id of the item.
+ * @param {File|Blob|FileList|Array} files - The files to attach.
+ * @param {Object} [options]
+ * @param {string|function(File, number): string} [options.name] - The name of the files, needed for the Blobs that aren't Files.
+ * @param {Object} [options.signal] - An AbortSignal that cancels the attachments that weren't sent yet.
+ * @returns {Promise<uploadResult[]>} Resolves with a result per file, in the same order (id is the id of the item).
+ */
+SpSite.prototype.addAttachments = function(lName, id, files, options) {
+    var site = this;
+    options = options || {};
+    files = toFileArray(files);
+    var cancellation = createCancellation(options.signal);
+    var context = { operation: "addAttachments", listName: lName, itemId: id };
+    var results = [];
+
+    function attach(index) {
+        if(index >= files.length)
+            return Promise.resolve(results);
+        var file = files[index];
+        var result = { file: file, name: uploadName(file, index, options), ok: false, url: null, id: id, cancelled: false, error: null };
+        return Promise.resolve().then(function() {
+            if(cancellation.signal.aborted)
+                throw reportError(new SpError(context.operation+" failed: the upload was cancelled", context));
+            if(!result.name)
+                throw reportError(new SpError(context.operation+" failed: the file has no name", context));
+            return readAsBase64(file, context);
+        }).then(function(data) {
+            return site.call("lists", "AddAttachment", {
+                listName: lName,
+                listItemID: id,
+                fileName: result.name,
+                attachment: data
+            }, context);
+        }).then(function(response) {
+            result.ok = true;
+            result.url = xmlText(response.responseXML, "AddAttachmentResult");
+        }, function(error) {
+            result.cancelled = cancellation.signal.aborted;
+            result.error = error;
+        }).then(function() {
+            results.push(result);
+            return attach(index + 1);
+        });
+    }
+    var upload = attach(0);
+    upload.cancel = cancellation.cancel;
+    return upload;
+};
+
+/**
+ * An attachment of a list item.
+ * @typedef {Object} attachment
+ * @property {string} name - The file's name.
+ * @property {string} url - The URL of the file.
+ */
+
+/**
+ * Lists the attachments of an item of a list of this site.
+ * @param {string} lName - The name of the SP list.
+ * @param {number} id - The id of the item.
+ * @returns {Promise<attachment[]>}
+ */
+SpSite.prototype.getAttachments = function(lName, id) {
+    return this.call("lists", "GetAttachmentCollection", {
+        listName: lName,
+        listItemID: id
+    }, { operation: "getAttachments", listName: lName, itemId: id }).then(function(response) {
+        return xmlElements(response.responseXML, "Attachment").map(function(element) {
+            var url = element.textContent;
+            return {
+                name: decodeURIComponent(url.substring(url.lastIndexOf("/") + 1)),
+                url: url
+            };
+        });
+    });
+};
+
+/**
+ * Deletes an attachment of an item of a list of this site.
+ * @param {string} lName - The name of the SP list.
+ * @param {number} id - The id of the item.
+ * @param {string} url - The URL of the attachment, as returned by getAttachments().
+ * @returns {Promise<string>} Resolves with the URL of the deleted attachment.
+ */
+SpSite.prototype.deleteAttachment = function(lName, id, url) {
+    return this.call("lists", "DeleteAttachment", {
+        listName: lName,
+        listItemID: id,
+        url: url
+    }, { operation: "deleteAttachment", listName: lName, itemId: id }).then(function() {
+        return url;
+    });
+};
+
+/**
+ * Creates an item in a list of this site and attaches files to it.
+ * @param {string} lName - The name of the SP list where the item will be created.
+ * @param {string[]} fields - An array with the names of the columns that will receive a value.
+ * @param {valuesArray[]} values - An array with the values that will be set in each column.
+ * @param {File|Blob|FileList|Array} files - The files to attach.
+ * @param {Object} [options] - The options of addAttachments() (name, signal).
+ * @returns {Promise<Object>} Resolves with the new item (item) and a result per file (attachments). If the item is
+ *          created but some file can't be attached, it resolves anyway and the result of that file has the error. The
+ *          files can't wait in the queue of the resilient mode, so it rejects if the server can't be reached.
+ */
+SpSite.prototype.createListItemWithAttachments = function(lName, fields, values, files, options) {
+    var site = this;
+    var context = { operation: "createListItemWithAttachments", listName: lName };
+    return this.sendMethod(lName, "New", fields, values, context).then(function(item) {
+        return site.addAttachments(lName, parseInt(item.ID, 10), files, options).then(function(results) {
+            return { item: item, attachments: results };
+        });
+    });
+};
+
+/* USERS  */
+/**
+ * A SharePoint group.
+ * @typedef {Object} userGroup
+ * @property {number} id - The id of the group.
+ * @property {string} name - The name of the group.
+ * @property {string} description - The description of the group.
+ */
+
+/**
+ * A SharePoint user.
+ * @typedef {Object} userInfo
+ * @property {number} id - The id of the user in the site collection.
+ * @property {string} name - The display name.
+ * @property {string} login - The login name (DOMAIN\user or the claims login).
+ * @property {string} email - The email address ("" if it's unknown).
+ * @property {boolean} isSiteAdmin - Whether the user is a site collection administrator.
+ * @property {userGroup[]} [groups] - The SharePoint groups of the user (only for the current user).
+ */
+
+/**
+ * Reads a User element of the UserGroup.asmx responses.
+ * @private
+ */
+function readUser(element) {
+    return {
+        id: parseInt(element.getAttribute("ID"), 10),
+        name: element.getAttribute("Name"),
+        login: element.getAttribute("LoginName"),
+        email: element.getAttribute("Email") || "",
+        isSiteAdmin: element.getAttribute("IsSiteAdmin") == "True"
+    };
+}
+
+/**
+ * Reads the user of a GetCurrentUserInfo or GetUserInfo response.
+ * @private
+ */
+function readUserResponse(response, context) {
+    var user = xmlFirst(response.responseXML, "User");
+    if(!user)
+        throw reportError(new SpError(context.operation+" failed: the response has no user information", extend({}, context, { status: response.status, response: response })));
+    return readUser(user);
+}
+
+/**
+ * Reads a value stored in the session storage (null if there isn't one or the storage can't be used).
+ * @private
+ */
+function readSessionValue(key) {
+    try {
+        var value = window.sessionStorage.getItem(key);
+        return value ? JSON.parse(value) : null;
+    } catch(e) {
+        return null;
+    }
+}
+
+/**
+ * Stores a value in the session storage, if it can be used.
+ * @private
+ */
+function writeSessionValue(key, value) {
+    try {
+        if(value === null)
+            window.sessionStorage.removeItem(key);
+        else
+            window.sessionStorage.setItem(key, JSON.stringify(value));
+    } catch(e) {
+        // The storage is full or disabled: the value is just kept in memory
+    }
+}
+
+/**
+ * The current user of each site, requested once per session.
+ * @private
+ */
+var currentUserCache = {};
+
+/**
+ * Gets the logged user with its SharePoint groups. It's requested once per session (it's kept in the session storage).
+ * @example <caption>Usage of SpSite.getCurrentUser().</caption>
+ * new SpSite().getCurrentUser().then(function(user) {
+ *     console.log(user.name + " <" + user.email + "> is in " + user.groups.length + " groups");
+ * });
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - Request the user again instead of using the cached one.
+ * @returns {Promise<userInfo>}
+ */
+SpSite.prototype.getCurrentUser = function(options) {
+    var site = this;
+    var key = "SpSnippet.currentUser|"+this.url();
+    if(options && options.refresh) {
+        delete currentUserCache[key];
+        writeSessionValue(key, null);
+    }
+    if(!currentUserCache[key]) {
+        var stored = readSessionValue(key);
+        var context = { operation: "getCurrentUser" };
+        currentUserCache[key] = stored ? Promise.resolve(stored) : this.call("userGroup", "GetCurrentUserInfo", {}, context).then(function(response) {
+            var user = readUserResponse(response, context);
+            return site.getUserGroups(user.login).then(function(groups) {
+                user.groups = groups;
+                writeSessionValue(key, user);
+                return user;
+            });
+        }).catch(function(error) {
+            delete currentUserCache[key];
+            throw error;
+        });
+    }
+    return currentUserCache[key];
+};
+
+/**
+ * Gets the SharePoint groups of a user.
+ * @param {string} login - The login name of the user.
+ * @returns {Promise<userGroup[]>}
+ */
+SpSite.prototype.getUserGroups = function(login) {
+    return this.call("userGroup", "GetGroupCollectionFromUser", { userLoginName: login }, { operation: "getUserGroups" }).then(function(response) {
+        return xmlElements(response.responseXML, "Group").map(function(group) {
+            return {
+                id: parseInt(group.getAttribute("ID"), 10),
+                name: group.getAttribute("Name"),
+                description: group.getAttribute("Description") || ""
+            };
+        });
+    });
+};
+
+/**
+ * Checks if the logged user belongs to a SharePoint group.
+ * @param {string} groupName - The name of the group.
+ * @returns {Promise<boolean>}
+ */
+SpSite.prototype.isCurrentUserInGroup = function(groupName) {
+    return this.getCurrentUser().then(function(user) {
+        return user.groups.some(function(group) {
+            return group.name == groupName;
+        });
+    });
+};
+
+/**
+ * Finds a user of the site collection by login name or email.
+ * @example <caption>Usage of SpSite.findUser().</caption>
+ * new SpSite().findUser("john.doe@example.us").then(function(user) {
+ *     return createNewListItemAsync("Approvals", ["Title", "Approver"], ["Budget", user]);
+ * });
+ *
+ * @param {string} loginOrEmail - The login name (DOMAIN\user or claims login) or the email of the user.
+ * @returns {Promise<userInfo>} Rejects with a NotFound error if there is no such user.
+ */
+SpSite.prototype.findUser = function(loginOrEmail) {
+    var site = this;
+    var context = { operation: "findUser" };
+    var login = Promise.resolve(loginOrEmail);
+    if(/^[^\\|@\s]+@[^@\s]+$/.test(loginOrEmail)) {
+        login = this.call("userGroup", "GetUserLoginFromEmail", {
+            emailXml: rawXml(xmlElement("Users", null, xmlElement("User", { Email: loginOrEmail })))
+        }, context).then(function(response) {
+            var found = xmlAttr(xmlFirst(response.responseXML, "User"), "Login");
+            if(!found) {
+                throw reportError(new SpError(context.operation+" failed: there is no user with the email "+loginOrEmail, extend({
+                    errorCode: "NotFound",
+                    errorText: "The user doesn't exist"
+                }, context)));
+            }
+            return found;
+        });
+    }
+    return login.then(function(userLogin) {
+        return site.call("userGroup", "GetUserInfo", { userLoginName: userLogin }, context);
+    }).then(function(response) {
+        return readUserResponse(response, context);
+    });
+};
+
+/**
+ * The permissions checked by getPermissions() and hasPermission(), with their SharePoint PermissionKind.
+ * @private
+ */
+var PERMISSION_KINDS = {
+    viewListItems: 1,
+    addListItems: 2,
+    editListItems: 3,
+    deleteListItems: 4,
+    approveItems: 5,
+    openItems: 6,
+    viewVersions: 7,
+    deleteVersions: 8,
+    cancelCheckout: 9,
+    managePersonalViews: 10,
+    manageLists: 12,
+    viewFormPages: 13,
+    open: 17,
+    viewPages: 18,
+    addAndCustomizePages: 19,
+    manageSubwebs: 24,
+    createGroups: 25,
+    managePermissions: 26,
+    browseUserInfo: 28,
+    manageWeb: 31,
+    enumeratePermissions: 63,
+    fullMask: 65
+};
+
+/**
+ * Gets the effective permissions of the logged user on this site or on one of its lists. They're read from the REST
+ * EffectiveBasePermissions of SharePoint 2013 and later.
+ * @example <caption>Usage of SpSite.getPermissions().</caption>
+ * new SpSite().getPermissions("Employees").then(function(permissions) {
+ *     $("#editButton").toggle(permissions.editListItems);
+ *     $("#deleteButton").toggle(permissions.deleteListItems);
+ * });
+ *
+ * @param {string} [lName] - The name of the SP list. If it's omitted the permissions on the site are returned.
+ * @returns {Promise<Object.<string, boolean>>} Resolves with an object that tells, for each permission (viewListItems,
+ *          addListItems, editListItems, deleteListItems, approveItems, manageLists, manageWeb, fullMask...), if the user has it.
+ */
+SpSite.prototype.getPermissions = function(lName) {
+    var site = this;
+    var context = { operation: "getPermissions", listName: lName };
+    var path = lName ? "/lists/getbytitle('"+encodeURIComponent(lName.replace(/'/g, "''"))+"')" : "";
+    return new Promise(function(resolve) {
+        resolve(transportOf(site).send({
+            url: site.url()+"/_api/web"+path+"/EffectiveBasePermissions",
+            method: "GET",
+            headers: { "Accept": "application/json;odata=verbose" },
+            body: null
+        }));
+    }).then(function(response) {
+        var data;
+        try {
+            data = JSON.parse(response.responseText);
+        } catch(e) {
+            data = null;
+        }
+        if(response.status < 200 || response.status >= 300 || !data) {
+            var error = requestError(response, context);
+            if(data && data.error && data.error.message)
+                error.message = context.operation+" failed: "+(error.errorText = data.error.message.value);
+            throw reportError(error);
+        }
+        var mask = data.d && (data.d.EffectiveBasePermissions || data.d) || data;
+        var high = Number(mask.High);
+        var low = Number(mask.Low);
+        var permissions = {};
+        for(var name in PERMISSION_KINDS) {
+            var bit = PERMISSION_KINDS[name] - 1;
+            if(name == "fullMask")
+                permissions[name] = (high & 0x7FFFFFFF) == 0x7FFFFFFF && low == 0xFFFFFFFF;
+            else
+                permissions[name] = ((bit < 32 ? low >>> bit : high >>> (bit - 32)) & 1) == 1;
+        }
+        return permissions;
+    });
+};
+
+/**
+ * Checks a permission of the logged user on this site or on one of its lists.
+ * @param {string} permission - The name of the permission, see getPermissions().
+ * @param {string} [lName] - The name of the SP list. If it's omitted the permission is checked on the site.
+ * @returns {Promise<boolean>}
+ */
+SpSite.prototype.hasPermission = function(permission, lName) {
+    if(!PERMISSION_KINDS[permission])
+        return Promise.reject(reportError(new SpError("hasPermission failed: unknown permission "+permission, { operation: "hasPermission", listName: lName })));
+    return this.getPermissions(lName).then(function(permissions) {
+        return permissions[permission];
+    });
+};
+
+/* CRUD  */
+/**
+ * Gets the item(s) requested to a list in Sharepoint, filtered by the query.
+ * @example <caption>First usage of getListItems() function (basic).</caption>
+ * // returns the ID, FirstName and LastName of every Employee in the Employees list
+ * getListItems("Employees", ["ID", "FirstName", "LastName"]);
+ *
+ * @example <caption>Second usage of getListItems() function (with filtering query).</caption>
+ * // returns the ID, FirstName and LastName of the employee with ID equal to 2
+ * var query = "<Query><Where><Eq><FieldRef Name='ID'/><Value Type='Number'>2</Value></Eq></Where></Query>";
+ * getListItems("Employees", ["ID", "FirstName", "LastName"], query);
+ * // or, with the query builder
+ * getListItems("Employees", ["ID", "FirstName", "LastName"], new CamlQuery().where(Caml.eq("ID", 2)));
+ *
+ * @example <caption>Third usage of getListItems() function (with callback).</caption>
+ * // returns the ID, FirstName and LastName of every Employee in the Employees list and populates an unordered list in the DOM.
+ *  function showEmployees(employees) {
+        $("#body").append("<ul>");
+        $.each(employees, function(i, employee) {
+            $("#body").append("<li>"+employee.FirstName+" "+employee.LastName+"</li>");
+        });
+        $("#body").append("</ul>");
+    }
+ * getListItems("Employees", ["ID", "FirstName", "LastName"], "", showEmployees);
+ *
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {listCallback} [callback] - Executes a callback function if the service's response was successfull.
+ * @param {errorCallback} [errorCallback] - Executes a callback function with the reason if the service call failed.
+ * @returns {Boolean|Object|Array} A boolean if no items were found, an Object if there was only one item or an Array of Objects if more items were found.
+ */
+function getListItems(lName, fields, query, callback, errorCallback){
+    var listItems = syncGetListItems(siteFor(), lName, fields, query, callback, errorCallback, "getListItems");
+    if(listItems.length > 1)
+        return listItems;
+    else {
+        if(listItems.length == 1)
+            return listItems[0];
+        else
+            return false;
+    }
+}
+
+/**
+ * Asynchronous version of getListItems().
+ * @example <caption>Usage of getListItemsAsync() function.</caption>
+ * getListItemsAsync("Employees", ["ID", "FirstName", "LastName"]).then(function(employees) {
+ *     console.log(employees.length + " employees found");
+ * });
+ *
+ * @example <caption>Usage of getListItemsAsync() function with typed values.</caption>
+ * getListItemsAsync("Employees", ["ID", "Manager", "HireDate"], "", { typed: true }).then(function(employees) {
+ *     console.log(employees[0].Manager.value + " since " + employees[0].HireDate.getFullYear());
+ * });
+ *
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {Object} [options]
+ * @param {boolean} [options.typed=false] - Decode the values to native types (see decodeFieldValue()) reading the field types from the list schema.
+ * @param {Object.<string, string>} [options.types] - The SharePoint type of some fields, they take precedence over the schema and
+ *        are enough to decode those fields without typed mode.
+ * @param {boolean|Object} [options.cache] - Caches the items: true, or the ttl in milliseconds (60000 by default) and the
+ *        storage (memory, session or local) of the cache. The cache setting of configure() caches every query, and false
+ *        skips it. The same query sent while the first one is running waits for it, and the writes to the list drop its
+ *        cached queries (see clearCache()).
+ * @param {string} [options.webUrl] - The URL of the site that has the list, if it isn't the current one.
+ * @returns {Promise<Object[]>} Resolves with an array of items (empty if nothing was found).
+ */
+function getListItemsAsync(lName, fields, query, options) {
+    return siteFor(options && options.webUrl).getListItems(lName, fields, query, options);
+}
+
+/**
+ * A page of items returned by getListItemsPage().
+ * @typedef {Object} listItemsPage
+ * @property {Object[]} items - The items of the page.
+ * @property {string|null} nextPage - The token to request the next page, null if this is the last one.
+ */
+
+/**
+ * Gets one page of the items of a list.
+ * @example <caption>Usage of getListItemsPage() function.</caption>
+ * getListItemsPage("Employees", ["ID", "FirstName"], "", { pageSize: 100 }).then(function(page) {
+ *     showEmployees(page.items);
+ *     if(page.nextPage)
+ *         return getListItemsPage("Employees", ["ID", "FirstName"], "", { pageSize: 100, nextPage: page.nextPage });
+ * });
+ *
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=100] - The number of items of the page (at most LIST_VIEW_THRESHOLD).
+ * @param {string} [options.nextPage] - The token returned with the previous page.
+ * @param {string} [options.folder] - The URL of the folder whose items are read (the root folder by default).
+ * @param {string} [options.webUrl] - The URL of the site that has the list, if it isn't the current one.
+ * @param {boolean} [options.typed=false] - Decode the values to native types, as in getListItemsAsync().
+ * @param {Object.<string, string>} [options.types] - The SharePoint type of some fields, as in getListItemsAsync().
+ * @param {boolean|Object} [options.cache] - Caches the page, as in getListItemsAsync().
+ * @returns {Promise<listItemsPage>}
+ */
+function getListItemsPage(lName, fields, query, options) {
+    return siteFor(options && options.webUrl).getListItemsPage(lName, fields, query, options);
+}
+
+/**
+ * Walks the pages of the items of a list. The returned object is an async iterator, so it can be used with for await.
+ * @example <caption>Usage of listItemPages() function.</caption>
+ * for await (var page of listItemPages("Employees", ["ID", "FirstName"], "", { pageSize: 500 })) {
+ *     showEmployees(page.items);
+ * }
+ *
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {Object} [options] - The same options of getListItemsPage().
+ * @returns {Object} An iterator whose next() resolves with { done, value } where value is a listItemsPage.
+ */
+function listItemPages(lName, fields, query, options) {
+    return siteFor(options && options.webUrl).listItemPages(lName, fields, query, options);
+}
+
+/**
+ * @callback pageCallback
+ * @param {Object[]} items - The items of the page.
+ * @param {number} pageNumber - The number of the page, starting at 1.
+ * @returns {boolean|undefined} false to stop requesting pages.
+ */
+
+/**
+ * Gets every item of a list, requesting them page by page so the list view threshold is never exceeded.
+ * @example <caption>Usage of getAllListItems() function.</caption>
+ * getAllListItems("Employees", ["ID", "FirstName"], "", {
+ *     pageSize: 1000,
+ *     onPage: function(items, pageNumber) { console.log("Page " + pageNumber + " loaded"); }
+ * }).then(function(employees) {
+ *     console.log(employees.length + " employees found");
+ * });
+ *
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string|CamlQuery} [query=<Query></Query>] - CAML query to search only needed items.
+ * @param {Object} [options] - The same options of getListItemsPage() plus onPage.
+ * @param {number} [options.pageSize=2000] - The number of items requested per page.
+ * @param {pageCallback} [options.onPage] - Called with the items of each page as soon as it arrives.
+ * @returns {Promise<Object[]>} Resolves with the items of every page.
+ */
+function getAllListItems(lName, fields, query, options) {
+    return siteFor(options && options.webUrl).getAllListItems(lName, fields, query, options);
+}
+
+/*
+ * An array that defines the data that will be sent with the file.
+ * @typedef {*} valuesArray
+ */
+
+/**
+ * Creates a new item in the given list.
+ * @example <caption>How to use createNewListItem() function.</caption>
+ * // returns true if the process was successfully done, or false otherwise.
+ * createNewListItem("Employees", ["FirstName", "LastName"], ["John", "Doe"]);
+ * 
+ * @param {string} lName - The name of the SP list where the item will be created.
+ * @param {string[]} fields - An array with the names of the columns that will receive a value.
+ * @param {valuesArray[]} values - An array with the values that will be set in each column (the length of fields[] and values[] must be the same).
+ * @param {errorCallback} [errorCallback] - Called with the reason if the transaction failed.
+ * @returns {Boolean} A boolean indicating if the creation could or couldn't be done as expected.
+ */
+function createNewListItem(lName, fields, values, errorCallback) {
+    return syncSendMethod(siteFor(), lName, "New", fields, values, { operation: "createNewListItem", listName: lName }, errorCallback);
+}
+
+/**
+ * Asynchronous version of createNewListItem().
+ * @example <caption>Usage of createNewListItemAsync() function.</caption>
+ * createNewListItemAsync("Employees", ["FirstName", "LastName"], ["John", "Doe"]).then(function(employee) {
+ *     console.log("Employee created with ID " + employee.ID);
+ * });
+ *
+ * @param {string} lName - The name of the SP list where the item will be created.
+ * @param {string[]} fields - An array with the names of the columns that will receive a value.
+ * @param {valuesArray[]} values - An array with the values that will be set in each column.
+ * @returns {Promise<Object>} Resolves with the new item (including its ID) as returned by SharePoint, or with the pendingWrite
+ *          if it was queued in resilient mode (see replayPendingWrites()).
+ */
+function createNewListItemAsync(lName, fields, values) {
+    return siteFor().createListItem(lName, fields, values);
+}
+
+/**
+ * Updates an item in the given list.
+ * @example <caption>Usage of updateListItem() function.</caption>
+ * // returns true if the process was successfully done, or false otherwise. You must declare at least two fields / values: the ID and the field of the item which you want to update.
+ * updateListItem("Employees", ["ID", "FirstName", "LastName"], [152, "John", "Doe"]); // Assuming 152 is the item's ID
+ *
+ * @param {string} lName - The SP list name where the selected item should exist to be modified.
+ * @param {string[]} fields - A string array with the internal names of the columns in which item's values will be modified.
+ * @param {valuesArray[]} values - An array with the values that will overwrite the existing values in the declared fields.
+ * @param {errorCallback} [errorCallback] - Called with the reason if the transaction failed.
+ * @returns {Boolean} A boolean indicating if the transaction has been done as expected. It doesn't check the version of
+ *          the item, use updateListItemAsync() with the version option for that.
+ */
+function updateListItem(lName, fields, values, errorCallback) {
+    return syncSendMethod(siteFor(), lName, "Update", fields, values, { operation: "updateListItem", listName: lName, itemId: itemIdOf(fields, values) }, errorCallback);
+}
+
+/**
+ * Asynchronous version of updateListItem().
+ * @example <caption>Usage of updateListItemAsync() function.</caption>
+ * updateListItemAsync("Employees", ["ID", "LastName"], [152, "Doe"]).then(function(employee) {
+ *     console.log(employee.LastName);
+ * });
+ *
+ * @example <caption>Usage of updateListItemAsync() function with a version check.</caption>
+ * // the owshiddenversion field is the version of the item, read it with the other fields
+ * getListItemsAsync("Requests", ["ID", "Status", "owshiddenversion"], new CamlQuery().where(Caml.eq("ID", 7))).then(function(requests) {
+ *     var request = requests[0];
+ *     return updateListItemAsync("Requests", ["ID", "Status"], [7, "Approved"], { version: request.owshiddenversion });
+ * }).catch(function(error) {
+ *     if(error.conflict && error.conflict.deleted) {
+ *         // someone else deleted the request
+ *     } else if(error.conflict) {
+ *         // someone else saved the request: show error.conflict.item and let the user merge, reload or overwrite with
+ *         // { version: error.conflict.version }
+ *     }
+ * });
+ *
+ * @param {string} lName - The SP list name where the selected item should exist to be modified.
+ * @param {string[]} fields - The internal names of the columns to modify (must include ID).
+ * @param {valuesArray[]} values - The values that will overwrite the existing values in the declared fields.
+ * @param {Object} [options]
+ * @param {number|string} [options.version] - The owshiddenversion of the item when it was read. If it changed since then,
+ *        the item isn't updated and the SpError (errorCode 0x81020015) has the current values in its conflict property
+ *        (see versionConflict).
+ * @returns {Promise<Object>} Resolves with the updated item as returned by SharePoint, or with the pendingWrite if it was
+ *          queued in resilient mode (see replayPendingWrites()).
+ */
+function updateListItemAsync(lName, fields, values, options) {
+    return siteFor().updateListItem(lName, fields, values, options);
+}
+
+/**
+ * Deletes an item in the selected list.
+ * @example <caption>Usage of deleteListItem() function.</caption>
+ * // returns true if the item was successfully deleted, or false otherwise.
+ * deleteListItem("Employees", 152);
+ *
+ * @param {string} lName - The SP list that has the item that will be deleted.
+ * @param {number} id - The id of the item that sharepoint gave it when it was created.
+ * @param {errorCallback} [errorCallback] - Called with the reason if the transaction failed.
+ * @returns {Boolean} false if the process wasn't successfully done, otherwise, true.
+ */
+function deleteListItem(lName, id, errorCallback) {
+    return syncSendMethod(siteFor(), lName, "Delete", ["ID"], [id], { operation: "deleteListItem", listName: lName, itemId: id }, errorCallback);
+}
+
+/**
+ * Asynchronous version of deleteListItem().
+ * @example <caption>Usage of deleteListItemAsync() function.</caption>
+ * deleteListItemAsync("Employees", 152).then(function(id) {
+ *     console.log("Employee " + id + " deleted");
+ * });
+ *
+ * @param {string} lName - The SP list that has the item that will be deleted.
+ * @param {number} id - The id of the item.
+ * @returns {Promise<number>} Resolves with the id of the deleted item.
+ */
+function deleteListItemAsync(lName, id) {
+    return siteFor().deleteListItem(lName, id);
+}
+
+/**
+ * An array that defines the data that will be sent with the file.
+ * @typedef {array} fieldsArray
+ * @property {string} 0 - The value type.
+ * @property {string} 1 - Display name of the column in the Sharepoint Library.
+ * @property {string} 2 - Internal name of the column in the Sharepoint Library.
+ * @property {*} 3 - The value that the item's declared column will take.
+ */
+
+/**
+ * Allows the user to upload a file to a Sharepoint library.
+ * @example <caption>Usage of uploadFile() function.</caption>
+ * // Calls the corresponding callback function depending on the status of the transaction.
+ * var urlSite = "http://example.us/sites/mainsite/subsite/site";
+ * var lName = "EmployeesDocuments";
+ * var idInputFile = ""; // Not needed anymore
+ * var fields = [["Text", "Description", "Description", "Description of the file that will be uploaded."],
+                 ["Number", "EmployeeID", "EmployeeID", 152]];
+        // Field Type | Display Name | Internal Name | Value
+        // You can declare as many fields as columns in the library.
+ * var filename = "JohnDoe.txt"; // I'm assuming you have file defined somewhere in your code.
+ * function onSuccess() {
+        alert("Wohooo file uploaded");
+   }
+ * function onError() {
+        alert("Oops, something went wrong :("); 
+   }
+ * uploadFile(urlSite, lName, idInputFile, fields, file, onSuccess, onError);
+ *
+ * @param {string} urlSite - The URL where the library belongs to.
+ * @param {string} lName - The library's name.
+ * @param {string} idInputFile - Not used anymore, kept for compatibility (it can be empty).
+ * @param {fieldsArray[]} fields.
+ * @param {string} filename - The file's name.
+ * @param {file} file - The file to upload.
+ * @param {successCallback} [successCallback] - A callback function to call if the file was uploaded successfully.
+ * @param {errorCallback} [errorCallback] - A callback function to call with the reason if the file couldn't be uploaded.
+ * @returns {Promise<string>} Resolves with the URL of the uploaded file, rejects with an SpError if it couldn't be uploaded.
+ */
+function uploadFile(urlSite, lName, idInputFile, fields, filename, file, successCallback, errorCallback) {
+    var upload = siteFor(urlSite).uploadFile(lName, filename, file, fields);
+    upload.then(function() {
+        if(successCallback)
+            successCallback();
+        else
+            console.log("File uploaded successfully");
+    }, function(error) {
+        if(errorCallback)
+            errorCallback(error);
+        else
+            console.log("The file couldn't be uploaded");
+    });
+    return upload;
+}
+
+/**
+ * Uploads several files to a library, see SpSite.uploadFiles() for the options and an example with a drop zone.
+ * @example <caption>Usage of uploadFiles() function.</caption>
+ * var upload = uploadFiles("EmployeesDocuments", document.getElementById("fileInput").files, { conflict: "fail", concurrency: 2 });
+ * upload.then(function(results) {
+ *     console.log(results.filter(function(result) { return result.ok; }).length + " files uploaded");
+ * });
+ *
+ * @param {string} lName - The library's name.
+ * @param {File|Blob|FileList|Array} files - The files to upload.
+ * @param {Object} [options] - The options of SpSite.uploadFiles() (folder, conflict, concurrency, name, fields, onProgress, signal).
+ * @param {string} [options.webUrl] - The URL of the site that has the library, if it isn't the current one.
+ * @returns {Promise<uploadResult[]>} Resolves with a result per file. It has a cancel() method that stops the uploads.
+ */
+function uploadFiles(lName, files, options) {
+    return siteFor(options && options.webUrl).uploadFiles(lName, files, options);
+}
+
+/**
+ * Delete a file from a library
+ * @example <caption>How to use deleteFile() function.</caption>
+ * // returns true if the transaction was done succesfully or false if it wasn't.
+ * var lName = "EmployeesDocuments";
+ * var docPath = "http://example.us/sites/mainsite/subsite/site/EmployeesDocuments/JohnDoe.txt";
+ * deleteFile(lName, docPath, 12); // Assuming 12 is the id of the document in the library
+ *
+ * @param {string} lName - The name of the library that the file belongs to.
+ * @param {string} filePath - The URL of the file that will be deleted.
+ * @param {number} id - The item's id.
+ * @param {errorCallback} [errorCallback] - Called with the reason if the transaction failed.
+ * @returns {Boolean} false if the process wasn't successfully done, otherwise, true.
+ */
+function deleteFile(lName, filePath, id, errorCallback) {
+    var context = { operation: "deleteFile", listName: lName, itemId: id };
+    var result = soapCallSync(siteFor(), "lists", "UpdateListItems", function() {
+        return {
+            listName: lName,
+            updates: rawXml(buildBatch("Delete", ["ID", "FileRef"], [id, filePath]))
+        };
+    }, context);
+    var error = result.error || updateResultError(result.response, context);
+    if ( error ) {
+        reportError(error, errorCallback);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Asynchronous version of deleteFile().
+ * @example <caption>Usage of deleteFileAsync() function.</caption>
+ * deleteFileAsync("EmployeesDocuments", docPath, 12).then(function(id) {
+ *     console.log("Document " + id + " deleted");
+ * });
+ *
+ * @param {string} lName - The name of the library that the file belongs to.
+ * @param {string} filePath - The URL of the file that will be deleted.
+ * @param {number} id - The item's id.
+ * @returns {Promise<number>} Resolves with the id of the deleted file.
+ */
+function deleteFileAsync(lName, filePath, id) {
+    return siteFor().deleteFile(lName, filePath, id);
+}
+
+/**
+ * Creates a folder in a library, see SpSite.createFolder(). Files are uploaded into it with the folder option of uploadFiles().
+ * @example <caption>Usage of createFolder() function.</caption>
+ * createFolder("EmployeesDocuments", "2017/Contracts").then(function() {
+ *     return uploadFiles("EmployeesDocuments", files, { folder: "2017/Contracts" });
+ * });
+ *
+ * @param {string} lName - The library's name.
+ * @param {string} folderPath - The path of the new folder inside the library.
+ * @param {Object} [options]
+ * @param {string} [options.webUrl] - The URL of the site that has the library, if it isn't the current one.
+ * @returns {Promise<Object>} Resolves with the item of the folder.
+ */
+function createFolder(lName, folderPath, options) {
+    return siteFor(options && options.webUrl).createFolder(lName, folderPath);
+}
+
+/**
+ * Renames a folder of a library, see SpSite.renameFolder().
+ * @param {string} lName - The library's name.
+ * @param {string} folderPath - The path of the folder inside the library.
+ * @param {string} newName - The new name of the folder.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<Object>} Resolves with the item of the folder.
+ */
+function renameFolder(lName, folderPath, newName, options) {
+    return siteFor(options && options.webUrl).renameFolder(lName, folderPath, newName);
+}
+
+/**
+ * Deletes a folder of a library with all its contents, see SpSite.deleteFolder().
+ * @param {string} lName - The library's name.
+ * @param {string} folderPath - The path of the folder inside the library.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<number>} Resolves with the id of the deleted folder.
+ */
+function deleteFolder(lName, folderPath, options) {
+    return siteFor(options && options.webUrl).deleteFolder(lName, folderPath);
+}
+
+/**
+ * Lists the files and folders of a folder of a library, see SpSite.getFolderContents().
+ * @param {string} lName - The library's name.
+ * @param {string} [folderPath] - The path of the folder inside the library (the root folder by default).
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<folderEntry[]>}
+ */
+function getFolderContents(lName, folderPath, options) {
+    return siteFor(options && options.webUrl).getFolderContents(lName, folderPath);
+}
+
+/**
+ * Downloads the contents of a file as a Blob, see SpSite.downloadFile().
+ * @param {string} fileUrl - The URL of the file.
+ * @returns {Promise<Blob>}
+ */
+function downloadFile(fileUrl) {
+    return siteFor().downloadFile(fileUrl);
+}
+
+/**
+ * Copies a file, see SpSite.copyFile().
+ * @example <caption>Usage of copyFile() function.</caption>
+ * copyFile(docUrl, "http://example.us/sites/hr/Archive/JohnDoe.txt");
+ *
+ * @param {string} sourceUrl - The URL of the file.
+ * @param {string} destinationUrl - The URL of the copy.
+ * @param {Object} [options] - The webUrl of the site whose Copy.asmx is called, if it isn't the current one.
+ * @returns {Promise<string>} Resolves with the URL of the copy.
+ */
+function copyFile(sourceUrl, destinationUrl, options) {
+    return siteFor(options && options.webUrl).copyFile(sourceUrl, destinationUrl);
+}
+
+/**
+ * Moves a file, see SpSite.moveFile().
+ * @param {string} lName - The library of the file.
+ * @param {string} sourceUrl - The URL of the file.
+ * @param {string} destinationUrl - The new URL of the file.
+ * @param {Object} [options] - The webUrl of the site that has the library, if it isn't the current one.
+ * @returns {Promise<string>} Resolves with the new URL of the file.
+ */
+function moveFile(lName, sourceUrl, destinationUrl, options) {
+    return siteFor(options && options.webUrl).moveFile(lName, sourceUrl, destinationUrl);
+}
+
+/**
+ * Checks out a file, see SpSite.checkOutFile().
+ * @example <caption>Usage of checkOutFile() and checkInFile() functions.</caption>
+ * checkOutFile(docUrl).then(function() {
+ *     return uploadFiles("EmployeesDocuments", newContents, { name: "JohnDoe.txt" });
+ * }).then(function() {
+ *     return checkInFile(docUrl, "Salary updated", "major");
+ * });
+ *
+ * @param {string} fileUrl - The URL of the file.
+ * @param {Object} [options] - The webUrl of the site that has the file, if it isn't the current one.
+ * @returns {Promise<boolean>}
+ */
+function checkOutFile(fileUrl, options) {
+    return siteFor(options && options.webUrl).checkOutFile(fileUrl);
+}
+
+/**
+ * Checks in a file, see SpSite.checkInFile().
+ * @param {string} fileUrl - The URL of the file.
+ * @param {string} [comment] - The comment of the new version.
+ * @param {string} [checkInType=minor] - minor, major or overwrite.
+ * @param {Object} [options] - The webUrl of the site that has the file, if it isn't the current one.
+ * @returns {Promise<boolean>}
+ */
+function checkInFile(fileUrl, comment, checkInType, options) {
+    return siteFor(options && options.webUrl).checkInFile(fileUrl, comment, checkInType);
+}
+
+/**
+ * Discards the check out of a file, see SpSite.undoCheckOut().
+ * @param {string} fileUrl - The URL of the file.
+ * @param {Object} [options] - The webUrl of the site that has the file, if it isn't the current one.
+ * @returns {Promise<boolean>}
+ */
+function undoCheckOut(fileUrl, options) {
+    return siteFor(options && options.webUrl).undoCheckOut(fileUrl);
+}
+
+/**
+ * Lists the versions of a file, see SpSite.getFileVersions().
+ * @example <caption>Usage of getFileVersions() and restoreFileVersion() functions.</caption>
+ * getFileVersions(docUrl).then(function(versions) {
+ *     if(versions.length > 1)
+ *         return restoreFileVersion(docUrl, versions[1].version);
+ * });
+ *
+ * @param {string} fileUrl - The URL of the file.
+ * @param {Object} [options] - The webUrl of the site that has the file, if it isn't the current one.
+ * @returns {Promise<fileVersion[]>}
+ */
+function getFileVersions(fileUrl, options) {
+    return siteFor(options && options.webUrl).getFileVersions(fileUrl);
+}
+
+/**
+ * Restores a previous version of a file, see SpSite.restoreFileVersion().
+ * @param {string} fileUrl - The URL of the file.
+ * @param {string} version - The version to restore.
+ * @param {Object} [options] - The webUrl of the site that has the file, if it isn't the current one.
+ * @returns {Promise<fileVersion[]>} Resolves with the versions after the restore.
+ */
+function restoreFileVersion(fileUrl, version, options) {
+    return siteFor(options && options.webUrl).restoreFileVersion(fileUrl, version);
+}
+
+/**
+ * Attaches files to a list item, see SpSite.addAttachments().
+ * @example <caption>Usage of addAttachments() function.</caption>
+ * var id = 12;
+ * addAttachments("Requests", id, document.getElementById("documents").files).then(function(results) {
+ *     showMessage(results.length + " documents attached", "success");
+ * });
+ *
+ * @param {string} lName - The name of the SP list.
+ * @param {number} id - The id of the item.
+ * @param {File|Blob|FileList|Array} files - The files to attach.
+ * @param {Object} [options] - The options of SpSite.addAttachments() (name, signal).
+ * @param {string} [options.webUrl] - The URL of the site that has the list, if it isn't the current one.
+ * @returns {Promise<uploadResult[]>} Resolves with a result per file. It has a cancel() method.
+ */
+function addAttachments(lName, id, files, options) {
+    return siteFor(options && options.webUrl).addAttachments(lName, id, files, options);
+}
+
+/**
+ * Lists the attachments of a list item, see SpSite.getAttachments().
+ * @example <caption>Usage of getAttachments() function.</caption>
+ * getAttachments("Requests", 12).then(function(attachments) {
+ *     attachments.forEach(function(attachment) {
+ *         $("#documents").append("<a href='" + attachment.url + "'>" + attachment.name + "</a>");
+ *     });
+ * });
+ *
+ * @param {string} lName - The name of the SP list.
+ * @param {number} id - The id of the item.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<attachment[]>}
+ */
+function getAttachments(lName, id, options) {
+    return siteFor(options && options.webUrl).getAttachments(lName, id);
+}
+
+/**
+ * Deletes an attachment of a list item, see SpSite.deleteAttachment().
+ * @param {string} lName - The name of the SP list.
+ * @param {number} id - The id of the item.
+ * @param {string} url - The URL of the attachment.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<string>} Resolves with the URL of the deleted attachment.
+ */
+function deleteAttachment(lName, id, url, options) {
+    return siteFor(options && options.webUrl).deleteAttachment(lName, id, url);
+}
+
+/**
+ * Creates an item with attachments in one call, see SpSite.createListItemWithAttachments().
+ * @example <caption>Usage of createListItemWithAttachments() function.</caption>
+ * createListItemWithAttachments("Requests", ["Title", "Amount"], ["New laptop", 1200], document.getElementById("documents").files)
+ *     .then(function(result) {
+ *         console.log("Request " + result.item.ID + " created with " + result.attachments.length + " documents");
+ *     });
+ *
+ * @param {string} lName - The name of the SP list where the item will be created.
+ * @param {string[]} fields - An array with the names of the columns that will receive a value.
+ * @param {valuesArray[]} values - An array with the values that will be set in each column.
+ * @param {File|Blob|FileList|Array} files - The files to attach.
+ * @param {Object} [options] - The options of addAttachments(), with the webUrl of the site.
+ * @returns {Promise<Object>} Resolves with the new item (item) and a result per file (attachments).
+ */
+function createListItemWithAttachments(lName, fields, values, files, options) {
+    return siteFor(options && options.webUrl).createListItemWithAttachments(lName, fields, values, files, options);
+}
+
+/* SUBSCRIPTIONS  */
+/**
+ * Follows the changes of a list by polling GetListItemChangesSinceToken. The first poll reads the items of the list (the
+ * load event) and gets a change token; the next ones get only the items added, updated and deleted since the last token.
+ * While the page is hidden the polling pauses, and it resumes from the same token when it's shown again.
+ * Events: load (items), added (items), updated (items), deleted (ids), change ({ added, updated, deleted }) and error (SpError).
+ * @example <caption>Usage of ListSubscription.</caption>
+ * var tickets = subscribeToList("Tickets", ["ID", "Title", "Status"], new CamlQuery().where(Caml.eq("Status", "Open")), {
+ *     interval: 10000
+ * });
+ * tickets.on("load", renderBoard)
+ *        .on("added", function(items) { items.forEach(addCard); })
+ *        .on("updated", function(items) { items.forEach(updateCard); })
+ *        .on("deleted", function(ids) { ids.forEach(removeCard); });
+ * // tickets.stop() when the board is closed
+ *
+ * @constructor
+ * @param {SpSite} site - The site that has the list.
+ * @param {string} lName - The name of the SP list.
+ * @param {string[]} fields - The fields of the items of the events (ID is always included).
+ * @param {string|CamlQuery} [query] - CAML query that filters the items of the load, added and updated events.
+ * @param {Object} [options]
+ * @param {number} [options.interval=30000] - The milliseconds between polls.
+ * @param {string} [options.token] - A change token of a previous subscription: the polling starts from it, without load event
+ *        (the items changed since then are reported as added).
+ * @param {boolean} [options.typed=false] - Decode the values to native types, as in getListItemsAsync().
+ * @param {Object.<string, string>} [options.types] - The SharePoint type of some fields, as in getListItemsAsync().
+ * @param {boolean} [options.pauseWhenHidden=true] - Stops polling while the page is hidden.
+ */
+function ListSubscription(site, lName, fields, query, options) {
+    this.site = site;
+    this.listName = lName;
+    this.fields = ["ID"].concat(fields.filter(function(field) {
+        return field != "ID";
+    }));
+    this.query = query;
+    this.options = extend({ interval: 30000, pauseWhenHidden: true }, options);
+    this.token = this.options.token || null;
+    this.handlers = {};
+    this.knownIds = {};
+    this.loadedItems = null;
+    this.timer = null;
+    this.running = false;
+    this.polling = null;
+    var self = this;
+    this.onVisibilityChange = function() {
+        if(!self.running)
+            return;
+        if(document.hidden)
+            clearTimeout(self.timer);
+        else
+            self.poll();
+    };
+}
+
+/**
+ * Adds a handler of an event.
+ * @param {string} event - load, added, updated, deleted, change or error.
+ * @param {function(*)} handler
+ * @returns {ListSubscription} The same subscription, to keep chaining.
+ */
+ListSubscription.prototype.on = function(event, handler) {
+    (this.handlers[event] = this.handlers[event] || []).push(handler);
+    return this;
+};
+
+/**
+ * Removes a handler of an event.
+ * @param {string} event
+ * @param {function(*)} handler - The same function given to on().
+ * @returns {ListSubscription} The same subscription, to keep chaining.
+ */
+ListSubscription.prototype.off = function(event, handler) {
+    this.handlers[event] = (this.handlers[event] || []).filter(function(current) {
+        return current !== handler;
+    });
+    return this;
+};
+
+/**
+ * Calls the handlers of an event.
+ * @private
+ */
+ListSubscription.prototype.emit = function(event, value) {
+    (this.handlers[event] || []).slice().forEach(function(handler) {
+        try {
+            handler(value);
+        } catch(e) {
+            console.log("A subscription handler failed", e);
+        }
+    });
+};
+
+/**
+ * Starts polling, the first poll is sent right away.
+ * @returns {ListSubscription} The same subscription, to keep chaining.
+ */
+ListSubscription.prototype.start = function() {
+    if(this.running)
+        return this;
+    this.running = true;
+    if(this.options.pauseWhenHidden && typeof document != "undefined")
+        document.addEventListener("visibilitychange", this.onVisibilityChange);
+    if(!this.options.pauseWhenHidden || typeof document == "undefined" || !document.hidden)
+        this.poll();
+    return this;
+};
+
+/**
+ * Stops polling. The token is kept, so start() resumes from it.
+ * @returns {ListSubscription} The same subscription, to keep chaining.
+ */
+ListSubscription.prototype.stop = function() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if(typeof document != "undefined")
+        document.removeEventListener("visibilitychange", this.onVisibilityChange);
+    return this;
+};
+
+/**
+ * Asks for the changes now, instead of waiting for the next poll.
+ * @returns {Promise} Resolves once the events of the changes were emitted (or the error event, if the poll failed).
+ */
+ListSubscription.prototype.poll = function() {
+    var self = this;
+    clearTimeout(this.timer);
+    if(this.polling)
+        return this.polling;
+    var context = { operation: "ListSubscription.poll", listName: this.listName };
+    this.polling = Promise.all([
+        this.site.call("lists", "GetListItemChangesSinceToken", function() {
+            return {
+                listName: self.listName,
+                query: rawXml(toCamlQuery(self.query)),
+                viewFields: rawXml(buildViewFields(self.fields)),
+                queryOptions: rawXml(xmlElement("QueryOptions")),
+                changeToken: self.token
+            };
+        }, context),
+        resolveFieldTypes(this.site, this.listName, this.fields, this.options)
+    ]).then(function(responses) {
+        var more = self.readChanges(responses[0], responses[1]);
+        self.polling = null;
+        if(more && self.running)
+            return self.poll();
+        self.schedule();
+    }, function(error) {
+        self.polling = null;
+        self.emit("error", error);
+        self.schedule();
+    });
+    return this.polling;
+};
+
+/**
+ * Schedules the next poll, unless the subscription was stopped or the page is hidden.
+ * @private
+ */
+ListSubscription.prototype.schedule = function() {
+    clearTimeout(this.timer);
+    if(this.running && !(this.options.pauseWhenHidden && typeof document != "undefined" && document.hidden))
+        this.timer = setTimeout(this.poll.bind(this), this.options.interval);
+};
+
+/**
+ * Emits the events of a GetListItemChangesSinceToken response and keeps its token. The items of a load can come in several
+ * responses, the load event is emitted with all of them after the last one.
+ * @private
+ * @returns {boolean} Whether SharePoint has more changes to send.
+ */
+ListSubscription.prototype.readChanges = function(response, types) {
+    var self = this;
+    var changes = xmlFirst(response.responseXML, "Changes");
+    var items = parseListItems(response, this.fields, types);
+    var more = xmlAttr(changes, "MoreChanges") == "TRUE";
+    var first = !this.token;
+    var reset = xmlElements(changes, "Id").some(function(id) {
+        return id.getAttribute("ChangeType") == "InvalidToken";
+    });
+    this.token = xmlAttr(changes, "LastChangeToken") || this.token;
+    if(first || reset) {
+        // The token was missing or expired: SharePoint sends every item again
+        this.knownIds = {};
+        this.loadedItems = [];
+    }
+    if(this.loadedItems) {
+        items.forEach(function(item) {
+            self.knownIds[item.ID] = true;
+        });
+        this.loadedItems = this.loadedItems.concat(items);
+        if(more)
+            return true;
+        items = this.loadedItems;
+        this.loadedItems = null;
+        this.emit("load", items);
+        return false;
+    }
+    var added = [];
+    var updated = [];
+    var deleted = [];
+    items.forEach(function(item) {
+        (self.knownIds[item.ID] ? updated : added).push(item);
+        self.knownIds[item.ID] = true;
+    });
+    xmlElements(changes, "Id").forEach(function(id) {
+        var changeType = id.getAttribute("ChangeType");
+        if(changeType == "Delete" || changeType == "MoveAway") {
+            var itemId = parseInt(id.textContent, 10);
+            delete self.knownIds[itemId];
+            deleted.push(itemId);
+        }
+    });
+    if(added.length > 0)
+        this.emit("added", added);
+    if(updated.length > 0)
+        this.emit("updated", updated);
+    if(deleted.length > 0)
+        this.emit("deleted", deleted);
+    if(added.length + updated.length + deleted.length > 0)
+        this.emit("change", { added: added, updated: updated, deleted: deleted });
+    return more;
+};
+
+/**
+ * Subscribes to the changes of a list of this site, see ListSubscription.
+ * @param {string} lName - The name of the SP list.
+ * @param {string[]} fields - The fields of the items of the events.
+ * @param {string|CamlQuery} [query] - CAML query that filters the items.
+ * @param {Object} [options] - The options of ListSubscription (interval, token, typed, types, pauseWhenHidden).
+ * @returns {ListSubscription} The subscription, already polling.
+ */
+SpSite.prototype.subscribe = function(lName, fields, query, options) {
+    return new ListSubscription(this, lName, fields, query, options).start();
+};
+
+/**
+ * Subscribes to the changes of a list, see ListSubscription.
+ * @param {string} lName - The name of the SP list.
+ * @param {string[]} fields - The fields of the items of the events.
+ * @param {string|CamlQuery} [query] - CAML query that filters the items.
+ * @param {Object} [options] - The options of ListSubscription and the webUrl of the site, if it isn't the current one.
+ * @returns {ListSubscription} The subscription, already polling.
+ */
+function subscribeToList(lName, fields, query, options) {
+    return siteFor(options && options.webUrl).subscribe(lName, fields, query, options);
+}
+
+/* IMPORT AND EXPORT  */
+/**
+ * Formats a typed value for a CSV cell: lookups and users by their displayed value, several values separated by "; ",
+ * dates as yyyy-MM-dd HH:mm and booleans as TRUE or FALSE.
+ * @private
+ */
+function csvCellValue(value) {
+    if(value === undefined || value === null)
+        return "";
+    if(Array.isArray(value))
+        return value.map(csvCellValue).join("; ");
+    if(isDate(value))
+        return formDateValue(value, "datetime-local").replace("T", " ");
+    if(typeof value == "boolean")
+        return value ? "TRUE" : "FALSE";
+    if(typeof value == "object")
+        return value.value !== undefined ? value.value : value.url !== undefined ? value.url : String(value.id);
+    return String(value);
+}
+
+/**
+ * Quotes a CSV cell if it has the delimiter, quotes or line breaks.
+ * @private
+ */
+function csvCell(value, delimiter) {
+    return value.indexOf(delimiter) != -1 || /["\r\n]/.test(value) ? '"'+value.replace(/"/g, '""')+'"' : value;
+}
+
+/**
+ * Parses a CSV text into rows of cells. Quoted cells can have delimiters, double quotes ("") and line breaks.
+ * @private
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter) {
+    var rows = [];
+    var row = [];
+    var cell = "";
+    var quoted = false;
+    text = text.replace(/^\uFEFF/, "");
+    for(var i = 0; i < text.length; i++) {
+        var char = text.charAt(i);
+        if(quoted) {
+            if(char == '"' && text.charAt(i + 1) == '"') {
+                cell += '"';
+                i++;
+            } else if(char == '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if(char == '"') {
+            quoted = true;
+        } else if(char == delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if(char == "\n" || char == "\r") {
+            if(char == "\r" && text.charAt(i + 1) == "\n")
+                i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    if(cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(function(cells) {
+        return cells.length > 1 || cells[0] !== "";
+    });
+}
+
+/**
+ * Reads the rows of an import: an array of objects, a JSON text or a CSV text whose first line has the headers.
+ * @private
+ * @returns {Object[]} The rows as objects by header.
+ */
+function readImportRows(data, options) {
+    if(Array.isArray(data))
+        return data;
+    var text = String(data).replace(/^\uFEFF/, "");
+    if(options.format == "json" || (!options.format && /^\s*[\[{]/.test(text))) {
+        var json = JSON.parse(text);
+        return Array.isArray(json) ? json : [json];
+    }
+    var firstLine = text.split(/\r?\n/)[0];
+    var delimiter = options.delimiter || (firstLine.split(";").length > firstLine.split(",").length ? ";" : ",");
+    var rows = parseCsv(text, delimiter);
+    var headers = rows.shift() || [];
+    return rows.map(function(cells) {
+        var row = {};
+        headers.forEach(function(header, index) {
+            row[header.trim()] = cells[index] !== undefined ? cells[index] : "";
+        });
+        return row;
+    });
+}
+
+/**
+ * Converts a cell of an import to the value of a field, following its type in the list schema.
+ * @private
+ */
+function importValue(value, field) {
+    // the columns that aren't fields of the list are sent as they are, the validation reports them
+    if(typeof value != "string" || !field)
+        return value;
+    value = value.trim();
+    switch(field.type) {
+        case "Boolean":
+            return /^(true|yes|1)$/i.test(value);
+        case "Integer":
+        case "Number":
+        case "Currency":
+            return value !== "" && !isNaN(value) ? parseFloat(value) : value;
+        case "DateTime":
+            return parseDateText(value) || value;
+        case "MultiChoice":
+            return value.split(/\s*;\s*/);
+        case "Lookup":
+        case "User":
+            return value === "" ? value : value.indexOf(";#") != -1 ? decodeLookupValues(value)[0] : importLookupValue(value);
+        case "LookupMulti":
+        case "UserMulti":
+            if(value.indexOf(";#") != -1)
+                return decodeLookupValues(value);
+            return value.split(/\s*;\s*/).filter(function(text) {
+                return text !== "";
+            }).map(importLookupValue);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Converts a cell of a lookup or user column: an id, or the displayed text (as it's exported) whose id is searched before
+ * the row is sent, see resolveImportLookups().
+ * @private
+ * @returns {lookupValue} The id is null if it has to be searched.
+ */
+function importLookupValue(text) {
+    return /^\d+$/.test(text) ? { id: parseInt(text, 10) } : { id: null, value: text };
+}
+
+/**
+ * Finds the ids of the lookup and user values of a row that only have their displayed text, searching it in the shown
+ * field of the lookup list (the Title of the users). The searches are shared by the rows of the import.
+ * @private
+ * @param {SpSite} site - The site of the list.
+ * @param {listSchema} schema - The schema of the list.
+ * @param {Object} values - The values of the row by internal name, their ids are set.
+ * @param {Object.<string, Promise<number|null>>} searches - The searches already made, by field and text.
+ * @returns {Promise<string[]>} The problems of the texts that weren't found.
+ */
+function resolveImportLookups(site, schema, values, searches) {
+    var problems = [];
+    var pending = [];
+    Object.keys(values).forEach(function(name) {
+        var field = schema.fieldsByName[name];
+        if(!field || !field.lookup)
+            return;
+        [].concat(values[name]).forEach(function(lookup) {
+            if(!lookup || typeof lookup != "object" || lookup.id !== null)
+                return;
+            var key = name+"|"+lookup.value;
+            if(!searches[key]) {
+                var showField = field.type == "User" || field.type == "UserMulti" ? "Title" : field.lookup.showField;
+                var query = new CamlQuery().where(Caml.eq(showField, lookup.value));
+                searches[key] = site.getListItems(field.lookup.listId, ["ID"], query, { cache: false }).then(function(items) {
+                    return items.length > 0 ? parseInt(items[0].ID, 10) : null;
+                });
+            }
+            pending.push(searches[key].then(function(id) {
+                lookup.id = id;
+                if(id === null)
+                    problems.push(lookup.value+" isn't an item of the lookup list of "+name);
+            }));
+        });
+    });
+    return Promise.all(pending).then(function() {
+        return problems;
+    });
+}
+
+/**
+ * Exports the items of a list of this site, see exportListItems().
+ * @param {string} lName - The name of the SP list.
+ * @param {string[]} fields - The columns of the export.
+ * @param {string|CamlQuery} [query] - CAML query to export only some items.
+ * @param {Object} [options] - The options of exportListItems().
+ * @returns {Promise<string>}
+ */
+SpSite.prototype.exportListItems = function(lName, fields, query, options) {
+    var site = this;
+    options = extend({ format: "csv", delimiter: ",", pageSize: 2000 }, options);
+    return this.getListSchema(lName).then(function(schema) {
+        var headers = fields.map(function(field) {
+            if(options.headers && options.headers[field])
+                return options.headers[field];
+            return options.headers !== false && schema.fieldsByName[field] ? schema.fieldsByName[field].displayName : field;
+        });
+        var chunks = [];
+        var exported = 0;
+        if(options.format == "csv") {
+            chunks.push(headers.map(function(header) {
+                return csvCell(header, options.delimiter);
+            }).join(options.delimiter)+"\r\n");
+        }
+        var pages = site.listItemPages(lName, fields, query, { pageSize: options.pageSize, typed: true, types: options.types });
+        var pageNumber = 0;
+        function nextPage() {
+            return pages.next().then(function(result) {
+                if(result.done)
+                    return;
+                // Each page is turned into text right away, only the text of the export is kept
+                var items = result.value.items;
+                if(items.length > 0) {
+                    chunks.push(items.map(function(item) {
+                        if(options.format == "json") {
+                            var row = {};
+                            fields.forEach(function(field, index) {
+                                row[headers[index]] = item[field];
+                            });
+                            return JSON.stringify(row);
+                        }
+                        return fields.map(function(field) {
+                            return csvCell(csvCellValue(item[field]), options.delimiter);
+                        }).join(options.delimiter)+"\r\n";
+                    }).join(options.format == "json" ? ",\n" : ""));
+                }
+                exported += items.length;
+                pageNumber++;
+                if(options.onProgress)
+                    options.onProgress(exported, pageNumber);
+                return nextPage();
+            });
+        }
+        return nextPage().then(function() {
+            return options.format == "json" ? "[\n"+chunks.join(",\n")+"\n]" : chunks.join("");
+        });
+    }).then(function(text) {
+        if(options.download)
+            downloadText(text, options.download, options.format);
+        return text;
+    });
+};
+
+/**
+ * Saves a text as a file through the browser.
+ * @private
+ */
+function downloadText(text, filename, format) {
+    var blob = new Blob([format == "csv" ? "\uFEFF"+text : text], { type: format == "csv" ? "text/csv;charset=utf-8" : "application/json" });
+    if(window.navigator.msSaveBlob) {
+        window.navigator.msSaveBlob(blob, filename);
+        return;
+    }
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() {
+        URL.revokeObjectURL(link.href);
+    }, 0);
+}
+
+/**
+ * The result of a row of an import.
+ * @typedef {Object} importResult
+ * @property {number} row - The number of the row (1 for the first one after the headers).
+ * @property {boolean} ok - Whether the row was saved.
+ * @property {string} action - created, updated or invalid (the row wasn't sent).
+ * @property {number|null} id - The id of the created or updated item.
+ * @property {Object} values - The values of the row, by internal name.
+ * @property {SpError|null} error - The reason of the failure.
+ */
+
+/**
+ * Imports rows into a list of this site, see importListItems().
+ * @param {string} lName - The name of the SP list.
+ * @param {string|Object[]} data - The CSV or JSON text, or the rows.
+ * @param {Object} [options] - The options of importListItems().
+ * @returns {Promise<importResult[]>}
+ */
+SpSite.prototype.importListItems = function(lName, data, options) {
+    var site = this;
+    options = extend({ validate: true }, options);
+    var context = { operation: "importListItems", listName: lName };
+    var rows;
+    try {
+        rows = readImportRows(data, options);
+    } catch(e) {
+        return Promise.reject(reportError(operationError(e, context)));
+    }
+    return this.getListSchema(lName).then(function(schema) {
+        var byDisplayName = {};
+        schema.fields.forEach(function(field) {
+            byDisplayName[field.displayName] = field.name;
+        });
+        function columnOf(header) {
+            if(options.columns && options.columns[header] !== undefined)
+                return options.columns[header];
+            return schema.fieldsByName[header] ? header : byDisplayName[header] || null;
+        }
+        // the keys are compared as they're exported, so the number 12 of the list matches the 12 or 12.0 of the rows
+        var keys = options.key ? site.getAllListItems(lName, ["ID", options.key], "", { cache: false, typed: true }).then(function(items) {
+            var ids = {};
+            items.forEach(function(item) {
+                ids[csvCellValue(item[options.key])] = item.ID;
+            });
+            return ids;
+        }) : Promise.resolve({});
+        return keys.then(function(ids) {
+            var results = [];
+            var lookupSearches = {};
+            function next(index) {
+                if(index >= rows.length)
+                    return Promise.resolve(results);
+                var result = { row: index + 1, ok: false, action: "invalid", id: null, values: {}, error: null };
+                results.push(result);
+                Object.keys(rows[index]).forEach(function(header) {
+                    var column = columnOf(header);
+                    var value = rows[index][header];
+                    if(column && value !== "" && value !== null && value !== undefined)
+                        result.values[column] = importValue(value, schema.fieldsByName[column]);
+                });
+                var key = options.key ? result.values[options.key] : undefined;
+                var id = key !== undefined ? ids[csvCellValue(key)] : undefined;
+                var fields = Object.keys(result.values).filter(function(field) {
+                    return field != "ID";
+                });
+                var rowContext = extend({ itemId: id }, context);
+                return resolveImportLookups(site, schema, result.values, lookupSearches).then(function(lookupProblems) {
+                    var values = fields.map(function(field) {
+                        return result.values[field];
+                    });
+                    var problems = lookupProblems.length > 0 || !options.validate ? lookupProblems :
+                        schemaProblems(schema, id ? "Update" : "New", fields, values);
+                    if(problems.length > 0) {
+                        result.error = new SpError(context.operation+" failed in row "+result.row+": "+problems.join("; "), extend({
+                            errorCode: "InvalidValues",
+                            errorText: problems.join("\n")
+                        }, rowContext));
+                        return;
+                    }
+                    result.action = id ? "updated" : "created";
+                    return id ? site.updateListItem(lName, ["ID"].concat(fields), [id].concat(values)) : site.createListItem(lName, fields, values);
+                }).then(function(item) {
+                    if(result.action == "invalid")
+                        return;
+                    result.ok = true;
+                    result.id = id || (item.ID ? parseInt(item.ID, 10) : null);
+                    if(key !== undefined && result.id)
+                        ids[csvCellValue(key)] = result.id;
+                }, function(error) {
+                    result.error = error;
+                }).then(function() {
+                    if(options.onProgress)
+                        options.onProgress(result, rows.length);
+                    return next(index + 1);
+                });
+            }
+            return next(0);
+        });
+    });
+};
+
+/**
+ * Exports the items of a list to CSV or JSON. The items are read page by page and only the text of each page is kept.
+ * The CSV has a header line with the display names of the columns, and it's read by Excel; lookups and users are
+ * exported with their displayed value, and dates as yyyy-MM-dd HH:mm.
+ * @example <caption>Usage of exportListItems() function.</caption>
+ * exportListItems("Employees", ["FirstName", "LastName", "Department", "HireDate"], new CamlQuery().where(Caml.eq("Active", true)), {
+ *     download: "employees.csv",
+ *     onProgress: function(count) {
+ *         $("#exportStatus").text(count + " employees exported");
+ *     }
+ * });
+ *
+ * @param {string} lName - The name of the SP list.
+ * @param {string[]} fields - The internal names of the columns of the export, in order.
+ * @param {string|CamlQuery} [query] - CAML query to export only some items.
+ * @param {Object} [options]
+ * @param {string} [options.format=csv] - csv or json (an array of objects by header, with the typed values).
+ * @param {Object.<string, string>|boolean} [options.headers] - The header of some columns by internal name, or false to use
+ *        the internal names instead of the display names.
+ * @param {string} [options.delimiter=,] - The delimiter of the CSV (";" for the Excel of some locales).
+ * @param {string} [options.download] - The name of a file where the browser saves the export.
+ * @param {number} [options.pageSize=2000] - The number of items read per request.
+ * @param {function(number, number)} [options.onProgress] - Called after each page with the items exported and the page number.
+ * @param {string} [options.webUrl] - The URL of the site that has the list, if it isn't the current one.
+ * @returns {Promise<string>} Resolves with the text of the export.
+ */
+function exportListItems(lName, fields, query, options) {
+    return siteFor(options && options.webUrl).exportListItems(lName, fields, query, options);
+}
+
+/**
+ * Imports rows into a list. The columns of the rows are matched to the fields of the list by internal name, by display
+ * name or with the columns option, and the cells are converted following the type of the field (dates, booleans,
+ * choices separated by ";"). The lookups and users can be ids or their displayed text, as exportListItems() writes them:
+ * the text is searched in the lookup list (in the Title of the users) and a text that isn't found makes the row invalid.
+ * The empty cells are skipped. With a key column the rows whose key is already in the list update that item, and the
+ * others create a new one. The rows are sent one by one, in order, and a row that fails doesn't stop the rest.
+ * @example <caption>Usage of importListItems() function with a file input.</caption>
+ * $("#csvFile").change(function() {
+ *     var reader = new FileReader();
+ *     reader.onload = function() {
+ *         importListItems("Employees", reader.result, {
+ *             key: "EmployeeNumber",
+ *             columns: { "Employee #": "EmployeeNumber", "Dept": "Department" }
+ *         }).then(function(results) {
+ *             results.filter(function(result) {
+ *                 return !result.ok;
+ *             }).forEach(function(result) {
+ *                 console.log("Row " + result.row + ": " + result.error.message);
+ *             });
+ *         });
+ *     };
+ *     reader.readAsText(this.files[0]);
+ * });
+ * @example <caption>Copying a list to another site with exportListItems() and importListItems().</caption>
+ * var fields = ["EmployeeNumber", "Title", "Department", "Manager", "HireDate"];
+ * exportListItems("Employees", fields).then(function(csv) {
+ *     return importListItems("Employees", csv, { key: "EmployeeNumber", webUrl: "/sites/hr-archive" });
+ * }).then(function(results) {
+ *     console.log(results.filter(function(result) {
+ *         return result.ok;
+ *     }).length + " employees copied");
+ * });
+ *
+ * @param {string} lName - The name of the SP list.
+ * @param {string|Object[]} data - A CSV text (with a header line), a JSON text or an array of rows.
+ * @param {Object} [options]
+ * @param {string} [options.format] - csv or json, detected from the data by default.
+ * @param {string} [options.delimiter] - The delimiter of the CSV, "," or ";" detected from the header line by default.
+ * @param {Object.<string, string>} [options.columns] - The internal name of some columns by header (null skips the column).
+ * @param {string} [options.key] - The internal name of the column that identifies the items to update.
+ * @param {boolean} [options.validate=true] - Checks each row against the list schema before sending it.
+ * @param {function(importResult, number)} [options.onProgress] - Called after each row with its result and the number of rows.
+ * @param {string} [options.webUrl] - The URL of the site that has the list, if it isn't the current one.
+ * @returns {Promise<importResult[]>} Resolves with a result per row, in order, once every row was sent.
+ */
+function importListItems(lName, data, options) {
+    return siteFor(options && options.webUrl).importListItems(lName, data, options);
+}
+
+/* BATCHES  */
+/**
+ * The result of one of the methods of a ListBatch.
+ * @typedef {Object} batchResult
+ * @property {number} methodId - The ID of the method (its position in the batch, starting at 1).
+ * @property {string} cmd - New, Update or Delete.
+ * @property {boolean} ok - Whether SharePoint executed the method successfully.
+ * @property {string} errorCode - The ErrorCode returned by SharePoint (0x00000000 if everything was ok).
+ * @property {string} errorText - The ErrorText returned by SharePoint, if any.
+ * @property {Object|null} item - The created or updated item as returned by SharePoint.
+ * @property {SpError} [error] - The error of the request, if the request of the method failed.
+ */
+
+/**
+ * Queues New, Update and Delete commands against a list and sends them in as few UpdateListItems calls as possible.
+ * @example <caption>Usage of ListBatch.</caption>
+ * var batch = new ListBatch("Employees", { onError: "Continue" });
+ * batch.create(["FirstName", "LastName"], ["John", "Doe"])
+ *      .update(["ID", "LastName"], [152, "Smith"])
+ *      .remove(153);
+ * batch.execute().then(function(results) {
+ *     results.forEach(function(result) {
+ *         if(!result.ok)
+ *             console.log("Method " + result.methodId + " failed: " + result.errorText);
+ *     });
+ * });
+ *
+ * @constructor
+ * @param {string} lName - The name of the SP list.
+ * @param {Object} [options]
+ * @param {string} [options.onError=Continue] - Continue to keep executing the methods after a failure, Return to stop at the first one.
+ * @param {number} [options.batchSize=200] - The maximum number of methods sent per request.
+ * @param {string} [options.webUrl] - The URL of the site that has the list, if it isn't the current one.
+ */
+function ListBatch(lName, options) {
+    this.listName = lName;
+    this.options = extend({ onError: "Continue", batchSize: 200 }, options);
+    this.site = siteFor(this.options.webUrl);
+    this.methods = [];
+}
+
+/**
+ * Queues the creation of an item.
+ * @param {string[]} fields - The names of the columns that will receive a value.
+ * @param {valuesArray[]} values - The values that will be set in each column.
+ * @returns {ListBatch} The same batch, to keep chaining.
+ */
+ListBatch.prototype.create = function(fields, values) {
+    this.methods.push({ cmd: "New", fields: fields, values: values });
+    return this;
+};
+
+/**
+ * Queues the update of an item.
+ * @param {string[]} fields - The names of the columns that will be modified (must include ID).
+ * @param {valuesArray[]} values - The values that will overwrite the existing ones.
+ * @param {Object} [options]
+ * @param {number|string} [options.version] - The owshiddenversion of the item when it was read. If it changed since then,
+ *        the item isn't updated and the result of the method has the errorCode 0x81020015 (VERSION_CONFLICT), without the
+ *        current values that updateListItemAsync() reads.
+ * @returns {ListBatch} The same batch, to keep chaining.
+ */
+ListBatch.prototype.update = function(fields, values, options) {
+    if(options && options.version !== undefined && options.version !== null) {
+        fields = fields.concat("owshiddenversion");
+        values = values.concat(options.version);
+    }
+    this.methods.push({ cmd: "Update", fields: fields, values: values });
+    return this;
+};
+
+/**
+ * Queues the deletion of an item.
+ * @param {number} id - The id of the item.
+ * @returns {ListBatch} The same batch, to keep chaining.
+ */
+ListBatch.prototype.remove = function(id) {
+    this.methods.push({ cmd: "Delete", fields: ["ID"], values: [id] });
+    return this;
+};
+
+/**
+ * Sends the queued methods and empties the batch.
+ * @returns {Promise<batchResult[]>} Resolves with a result per queued method, in the same order. With onError Return,
+ *          the methods that weren't executed after a failure have ok false and errorCode null. If the request of a group
+ *          of methods (see batchSize) fails, their results have the error and the other groups keep their results. With
+ *          the validateWrites setting the methods whose values aren't valid aren't sent, and their errorCode is InvalidValues.
+ */
+ListBatch.prototype.execute = function() {
+    var self = this;
+    var methods = this.methods;
+    var results = [];
+    var stopped = false;
+    this.methods = [];
+
+    function sendChunk(start, problems) {
+        if(start >= methods.length)
+            return Promise.resolve(results);
+        var chunk = methods.slice(start, start + self.options.batchSize);
+        if(stopped) {
+            chunk.forEach(function(method, index) {
+                results.push(notExecutedResult(start + index + 1, method.cmd));
+            });
+            return sendChunk(start + chunk.length, problems);
+        }
+        // The invalid methods aren't sent, with onError Return neither are the ones after them
+        var invalid = chunk.map(function(method, index) {
+            return problems[start + index] || [];
+        });
+        var firstInvalid = invalid.reduce(function(first, current, index) {
+            return first == -1 && current.length > 0 ? index : first;
+        }, -1);
+        var sent = chunk.filter(function(method, index) {
+            return invalid[index].length == 0 && (self.options.onError != "Return" || firstInvalid == -1 || index < firstInvalid);
+        });
+        var response = sent.length == 0 ? Promise.resolve(null) : self.site.call("lists", "UpdateListItems", function() {
+            var batch = chunk.map(function(method, index) {
+                return sent.indexOf(method) == -1 ? "" : buildMethod(start + index + 1, method.cmd, method.fields, method.values);
+            }).join("");
+            return {
+                listName: self.listName,
+                updates: rawXml(xmlElement("Batch", { OnError: self.options.onError, PreCalc: "TRUE" }, batch))
+            };
+        }, { operation: "ListBatch.execute", listName: self.listName });
+        // A chunk that fails doesn't lose the results of the chunks that SharePoint already saved
+        return response.then(function(response) {
+            return response ? parseBatchResults(response) : {};
+        }, function(error) {
+            var failed = {};
+            sent.forEach(function(method) {
+                var methodId = start + chunk.indexOf(method) + 1;
+                failed[methodId] = failedMethodResult(methodId, method.cmd, error);
+            });
+            return failed;
+        }).then(function(parsed) {
+            chunk.forEach(function(method, index) {
+                var methodId = start + index + 1;
+                var result = invalid[index].length > 0 ? invalidMethodResult(methodId, method.cmd, invalid[index]) :
+                    parsed[methodId] || notExecutedResult(methodId, method.cmd);
+                if(!result.ok)
+                    stopped = self.options.onError == "Return";
+                results.push(result);
+            });
+            return sendChunk(start + chunk.length, problems);
+        });
+    }
+    if(!settings.validateWrites)
+        return sendChunk(0, []);
+    return this.site.getListSchema(this.listName).then(function(schema) {
+        return sendChunk(0, methods.map(function(method) {
+            return method.cmd == "Delete" ? [] : schemaProblems(schema, method.cmd, method.fields, method.values);
+        }));
+    });
+};
+
+/**
+ * Reads the Result elements of an UpdateListItems response.
+ * @private
+ * @returns {Object.<number, batchResult>} The results indexed by method ID.
+ */
+function parseBatchResults(response) {
+    var results = {};
+    xmlElements(response.responseXML, "Result").forEach(function(result) {
+        var id = (result.getAttribute("ID") || "").split(",");
+        var errorCode = xmlText(result, "ErrorCode");
+        var row = xmlFirst(result, "z:row");
+        results[parseInt(id[0], 10)] = {
+            methodId: parseInt(id[0], 10),
+            cmd: id[1],
+            ok: errorCode === "0x00000000",
+            errorCode: errorCode,
+            errorText: xmlText(result, "ErrorText"),
+            item: row ? rowToObject(row) : null
+        };
+    });
+    return results;
+}
+
+/**
+ * Result of a method that SharePoint didn't execute.
+ * @private
+ */
+function notExecutedResult(methodId, cmd) {
+    return {
+        methodId: methodId,
+        cmd: cmd,
+        ok: false,
+        errorCode: null,
+        errorText: "The method wasn't executed because a previous one failed",
+        item: null
+    };
+}
+
+/**
+ * Result of a method whose request failed (the server couldn't be reached or refused the whole batch).
+ * @private
+ */
+function failedMethodResult(methodId, cmd, error) {
+    return {
+        methodId: methodId,
+        cmd: cmd,
+        ok: false,
+        errorCode: error.errorCode,
+        errorText: error.errorText || error.message,
+        item: null,
+        error: error
+    };
+}
+
+/**
+ * Result of a method that wasn't sent because its values aren't valid, see the validateWrites setting.
+ * @private
+ */
+function invalidMethodResult(methodId, cmd, problems) {
+    return {
+        methodId: methodId,
+        cmd: cmd,
+        ok: false,
+        errorCode: "InvalidValues",
+        errorText: problems.join("\n"),
+        item: null
+    };
+}
+
+/* CROSS-SITE SP FUNCTIONS */
+/**
+ * Gets the item(s) requested to a list of another site, filtered by the query.
+ * @example <caption>Usage of getExternalListItems() function.</caption>
+ * // returns the ID, FirstName and LastName of every Employee in the Employees list of the HR site
+ * getExternalListItems("Employees", "", ["ID", "FirstName", "LastName"], "http://example.us/sites/hr");
+ *
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string|CamlQuery} query - CAML query to search only needed items.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string} webUrl - The URL of the site that has the list.
+ * @param {listCallback} [callback] - Executes a callback function if the service's response was successfull.
+ * @param {errorCallback} [errorCallback] - Executes a callback function with the reason if the service call failed.
+ * @returns {Object[]} The items found (always empty if a callback is given, the items are passed to it).
+ */
+function getExternalListItems(lName, query, fields, webUrl, callback, errorCallback){
+    return syncGetListItems(siteFor(webUrl), lName, fields, query, callback, errorCallback, "getExternalListItems");
+}
+
+/**
+ * Asynchronous version of getExternalListItems().
+ * @example <caption>Usage of getExternalListItemsAsync() function.</caption>
+ * getExternalListItemsAsync("Employees", "<Query></Query>", ["ID", "FirstName"], "http://example.us/sites/hr").then(function(employees) {
+ *     console.log(employees.length + " employees found");
+ * });
+ *
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string|CamlQuery} query - CAML query to search only needed items.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string} webUrl - The URL of the site that has the list.
+ * @param {Object} [options] - The same options of getListItemsAsync().
+ * @returns {Promise<Object[]>} Resolves with an array of items (empty if nothing was found).
+ */
+function getExternalListItemsAsync(lName, query, fields, webUrl, options) {
+    return siteFor(webUrl).getListItems(lName, fields, query, options);
+}
+
+/**
+ * Cross-site version of getListItemsPage().
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string|CamlQuery} query - CAML query to search only needed items.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string} webUrl - The URL of the site that has the list.
+ * @param {Object} [options] - The same options of getListItemsPage().
+ * @returns {Promise<listItemsPage>}
+ */
+function getExternalListItemsPage(lName, query, fields, webUrl, options) {
+    return siteFor(webUrl).getListItemsPage(lName, fields, query, options);
+}
+
+/**
+ * Cross-site version of getAllListItems().
+ * @param {string} lName - The name of the SP list where the items will be searched.
+ * @param {string|CamlQuery} query - CAML query to search only needed items.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string} webUrl - The URL of the site that has the list.
+ * @param {Object} [options] - The same options of getAllListItems().
+ * @returns {Promise<Object[]>} Resolves with the items of every page.
+ */
+function getAllExternalListItems(lName, query, fields, webUrl, options) {
+    return siteFor(webUrl).getAllListItems(lName, fields, query, options);
+}
+
+/**
+ * Creates a new item in a list of another site.
+ * @example <caption>How to use createExternalListItem() function.</caption>
+ * // returns true if the process was successfully done, or false otherwise.
+ * createExternalListItem("Employees", ["FirstName", "LastName"], ["John", "Doe"], "http://example.us/sites/hr");
+ *
+ * @param {string} lName - The name of the SP list where the item will be created.
+ * @param {string[]} fields - An array with the names of the columns that will receive a value.
+ * @param {valuesArray[]} values - An array with the values that will be set in each column.
+ * @param {string} webUrl - The URL of the site that has the list.
+ * @param {errorCallback} [errorCallback] - Called with the reason if the transaction failed.
+ * @returns {Boolean} A boolean indicating if the creation could or couldn't be done as expected.
+ */
+function createExternalListItem(lName, fields, values, webUrl, errorCallback) {
+    return syncSendMethod(siteFor(webUrl), lName, "New", fields, values, { operation: "createExternalListItem", listName: lName }, errorCallback);
+}
+
+/**
+ * Asynchronous version of createExternalListItem().
+ * @param {string} lName - The name of the SP list where the item will be created.
+ * @param {string[]} fields - An array with the names of the columns that will receive a value.
+ * @param {valuesArray[]} values - An array with the values that will be set in each column.
+ * @param {string} webUrl - The URL of the site that has the list.
+ * @returns {Promise<Object>} Resolves with the new item (including its ID) as returned by SharePoint.
+ */
+function createExternalListItemAsync(lName, fields, values, webUrl) {
+    return siteFor(webUrl).createListItem(lName, fields, values);
+}
+
+/**
+ * Updates an item in a list of another site.
+ * @example <caption>Usage of updateExternalListItem() function.</caption>
+ * // returns true if the process was successfully done, or false otherwise.
+ * updateExternalListItem("Employees", ["ID", "LastName"], [152, "Doe"], "http://example.us/sites/hr");
+ *
+ * @param {string} lName - The SP list name where the selected item should exist to be modified.
+ * @param {string[]} fields - The internal names of the columns to modify (must include ID).
+ * @param {valuesArray[]} values - The values that will overwrite the existing values in the declared fields.
+ * @param {string} webUrl - The URL of the site that has the list.
+ * @param {errorCallback} [errorCallback] - Called with the reason if the transaction failed.
+ * @returns {Boolean} A boolean indicating if the transaction has been done as expected.
+ */
+function updateExternalListItem(lName, fields, values, webUrl, errorCallback) {
+    return syncSendMethod(siteFor(webUrl), lName, "Update", fields, values, { operation: "updateExternalListItem", listName: lName, itemId: itemIdOf(fields, values) }, errorCallback);
+}
+
+/**
+ * Asynchronous version of updateExternalListItem().
+ * @param {string} lName - The SP list name where the selected item should exist to be modified.
+ * @param {string[]} fields - The internal names of the columns to modify (must include ID).
+ * @param {valuesArray[]} values - The values that will overwrite the existing values in the declared fields.
+ * @param {string} webUrl - The URL of the site that has the list.
+ * @param {Object} [options] - The options of updateListItemAsync() (version).
+ * @returns {Promise<Object>} Resolves with the updated item as returned by SharePoint.
+ */
+function updateExternalListItemAsync(lName, fields, values, webUrl, options) {
+    return siteFor(webUrl).updateListItem(lName, fields, values, options);
+}
+
+/**
+ * The result of a rollup.
+ * @typedef {Object} rollupResult
+ * @property {Object[]} items - The items of every site, each one with the URL of its site (see the siteField option).
+ * @property {itemGroup[]} [groups] - With the groupBy option, the items grouped.
+ * @property {Object.<string, itemAggregate>} [totals] - With the aggregate option, the aggregates of the fields over every item.
+ * @property {Object[]} errors - The sites whose query failed: their webUrl and the SpError.
+ */
+
+/**
+ * Runs the same query against a list in several sites at the same time and merges the items. A site that fails doesn't
+ * stop the rest, it's listed in the errors of the result. The items are typed by default, so they can be sorted and
+ * aggregated.
+ * @example <caption>Usage of rollupListItems() function.</caption>
+ * var regions = ["http://example.us/sites/north", "http://example.us/sites/south", "http://example.us/sites/west"];
+ * rollupListItems("Sales", new CamlQuery().where(Caml.geq("Date", new Date(2017, 0, 1))), ["Title", "Product", "Amount"], regions, {
+ *     sort: ["Product", "-Amount"],
+ *     groupBy: "Product",
+ *     aggregate: ["Amount"]
+ * }).then(function(rollup) {
+ *     rollup.groups.forEach(function(group) {
+ *         console.log(group.key + ": " + group.count + " sales, " + group.totals.Amount.sum + " in total");
+ *     });
+ *     rollup.errors.forEach(function(failure) {
+ *         console.log(failure.webUrl + " couldn't be read: " + failure.error.message);
+ *     });
+ * });
+ *
+ * @param {string} lName - The name of the SP list, the same in every site.
+ * @param {string|CamlQuery} query - CAML query to search only needed items.
+ * @param {string[]} fields - The fields that will be taken from each item.
+ * @param {string[]} webUrls - The URLs of the sites.
+ * @param {Object} [options] - The options of getAllListItems() (pageSize, typed, types, cache), and:
+ * @param {string} [options.siteField=WebUrl] - The property of the items with the URL of their site.
+ * @param {number} [options.concurrency=4] - How many sites are queried at the same time.
+ * @param {string|string[]} [options.sort] - The fields to sort the items by, see sortItems().
+ * @param {string} [options.groupBy] - The field to group the items by, see groupItems().
+ * @param {string[]} [options.aggregate] - The numeric fields whose count, sum, avg, min and max are calculated.
+ * @returns {Promise<rollupResult>}
+ */
+function rollupListItems(lName, query, fields, webUrls, options) {
+    options = extend({ siteField: "WebUrl", concurrency: 4, typed: true }, options);
+    var results = [];
+    var next = 0;
+
+    function worker() {
+        if(next >= webUrls.length)
+            return Promise.resolve();
+        var index = next++;
+        var webUrl = webUrls[index];
+        return siteFor(webUrl).getAllListItems(lName, fields, query, options).then(function(items) {
+            items.forEach(function(item) {
+                item[options.siteField] = webUrl;
+            });
+            results[index] = { items: items };
+        }, function(error) {
+            results[index] = { items: [], error: { webUrl: webUrl, error: error } };
+        }).then(worker);
+    }
+    var workers = [];
+    for(var i = 0; i < Math.min(Math.max(options.concurrency, 1), webUrls.length); i++)
+        workers.push(worker());
+    return Promise.all(workers).then(function() {
+        var rollup = {
+            items: [].concat.apply([], results.map(function(result) {
+                return result.items;
+            })),
+            errors: results.filter(function(result) {
+                return result.error;
+            }).map(function(result) {
+                return result.error;
+            })
+        };
+        if(options.sort)
+            sortItems(rollup.items, options.sort);
+        if(options.aggregate)
+            rollup.totals = aggregateFields(rollup.items, options.aggregate);
+        if(options.groupBy) {
+            rollup.groups = groupItems(rollup.items, options.groupBy);
+            if(options.aggregate) {
+                rollup.groups.forEach(function(group) {
+                    group.totals = aggregateFields(group.items, options.aggregate);
+                });
+            }
+        }
+        return rollup;
+    });
+}
+
+
+/* UTILITIES  */
+/**
+ * Gets the id and name of the logged user synchronously, see getCurrentUserAsync() for the full user.
+ * @example <caption>Usage of getCurrentUser() function.</caption>
+ * var user = getCurrentUser();
+ * if(user.length > 0)
+ *     $("#welcome").text("Hello " + user[1]);
+ *
+ * @param {errorCallback} [errorCallback] - Called with the reason if the user couldn't be read.
+ * @returns {Array} An array with the id and the name of the user, empty if the user couldn't be read.
+ */
+function getCurrentUser(errorCallback) {
+    var context = { operation: "getCurrentUser" };
+    var result = soapCallSync(siteFor(), "userGroup", "GetCurrentUserInfo", {}, context);
+    var user = xmlFirst(result.response.responseXML, "User");
+    if(result.error || !user) {
+        reportError(result.error || new SpError(context.operation+" failed: the response has no user information", extend({}, context, {
+            status: result.response.status,
+            response: result.response
+        })), errorCallback);
+        return [];
+    }
+    return [user.getAttribute("ID"), user.getAttribute("Name")];
+}
+
+/**
+ * Asynchronous version of getCurrentUser(), with the full user and its groups. It's requested once per session.
+ * @example <caption>Usage of getCurrentUserAsync() function.</caption>
+ * getCurrentUserAsync().then(function(user) {
+ *     console.log("Hello " + user.name + " (" + user.login + ", " + user.email + ")");
+ * });
+ *
+ * @param {Object} [options] - The options of SpSite.getCurrentUser() (refresh), with the webUrl of the site.
+ * @returns {Promise<userInfo>}
+ */
+function getCurrentUserAsync(options) {
+    return siteFor(options && options.webUrl).getCurrentUser(options);
+}
+
+/**
+ * Gets the SharePoint groups of a user, see SpSite.getUserGroups().
+ * @param {string} login - The login name of the user.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<userGroup[]>}
+ */
+function getUserGroups(login, options) {
+    return siteFor(options && options.webUrl).getUserGroups(login);
+}
+
+/**
+ * Checks if the logged user belongs to a SharePoint group.
+ * @example <caption>Usage of isCurrentUserInGroup() function.</caption>
+ * isCurrentUserInGroup("Approvers").then(function(isApprover) {
+ *     $("#approveButton").toggle(isApprover);
+ * });
+ *
+ * @param {string} groupName - The name of the group.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<boolean>}
+ */
+function isCurrentUserInGroup(groupName, options) {
+    return siteFor(options && options.webUrl).isCurrentUserInGroup(groupName);
+}
+
+/**
+ * Finds a user by login name or email, see SpSite.findUser().
+ * @param {string} loginOrEmail - The login name or the email of the user.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<userInfo>}
+ */
+function findUser(loginOrEmail, options) {
+    return siteFor(options && options.webUrl).findUser(loginOrEmail);
+}
+
+/**
+ * Gets the effective permissions of the logged user on the site or on a list, see SpSite.getPermissions().
+ * @param {string} [lName] - The name of the SP list. If it's omitted the permissions on the site are returned.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<Object.<string, boolean>>}
+ */
+function getPermissions(lName, options) {
+    return siteFor(options && options.webUrl).getPermissions(lName);
+}
+
+/**
+ * Checks a permission of the logged user on the site or on a list.
+ * @example <caption>Usage of hasPermission() function.</caption>
+ * hasPermission("editListItems", "Employees").then(function(canEdit) {
+ *     if(!canEdit)
+ *         $("#saveButton").remove();
+ * });
+ *
+ * @param {string} permission - The name of the permission, see SpSite.getPermissions().
+ * @param {string} [lName] - The name of the SP list. If it's omitted the permission is checked on the site.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ * @returns {Promise<boolean>}
+ */
+function hasPermission(permission, lName, options) {
+    return siteFor(options && options.webUrl).hasPermission(permission, lName);
+}
+
+/**
+ * Drops the cached queries of a list, or of every list of the site, see SpSite.clearCache().
+ * @example <caption>Usage of clearCache() function.</caption>
+ * getListItemsAsync("Departments", ["ID", "Title"], "", { cache: { ttl: 3600000, storage: "local" } });
+ * // ... the departments were changed in another page
+ * clearCache("Departments");
+ *
+ * @param {string} [lName] - The name of the SP list.
+ * @param {Object} [options] - The webUrl of the site, if it isn't the current one.
+ */
+function clearCache(lName, options) {
+    siteFor(options && options.webUrl).clearCache(lName);
+}
+
+/**
+ * Reads the definition of a list: its fields with their types, choices, lookups and defaults, see SpSite.getListSchema().
+ * @example <caption>Usage of getListSchema() function.</caption>
+ * getListSchema("Employees").then(function(schema) {
+ *     var department = schema.fieldsByName.Department;
+ *     department.choices.forEach(function(choice) {
+ *         $("#department").append($("<option>").text(choice).prop("selected", choice == department.defaultValue));
+ *     });
+ * });
+ *
+ * @param {string} lName - The name of the SP list.
+ * @param {Object} [options] - The options of SpSite.getListSchema() (view, refresh) and the webUrl of the site, if it isn't the current one.
+ * @returns {Promise<listSchema>}
+ */
+function getListSchema(lName, options) {
+    return siteFor(options && options.webUrl).getListSchema(lName, options);
+}
+
+/**
+ * Gets the value of an item used to compare, group and aggregate it: the displayed value of lookups and users, the time
+ * of dates and the values of multiple fields joined.
+ * @private
+ */
+function comparableValue(value) {
+    if(value === undefined || value === null || value === "")
+        return null;
+    if(isDate(value))
+        return value.getTime();
+    if(Array.isArray(value))
+        return value.map(comparableValue).join("; ");
+    if(typeof value == "object")
+        return value.value !== undefined ? value.value : value.url !== undefined ? value.url : value.id;
+    return value;
+}
+
+/**
+ * Sorts items by one or more fields. Numbers and dates are compared by value, texts ignoring case, and the empty values go
+ * last.
+ * @example <caption>Usage of sortItems() function.</caption>
+ * getListItemsAsync("Employees", ["FirstName", "LastName", "HireDate"], "", { typed: true }).then(function(employees) {
+ *     sortItems(employees, ["LastName", "FirstName", "-HireDate"]);
+ * });
+ *
+ * @param {Object[]} items - The items, they're sorted in place.
+ * @param {string|string[]} fields - The fields, a - before a field sorts it descending.
+ * @returns {Object[]} The same items.
+ */
+function sortItems(items, fields) {
+    var order = [].concat(fields).map(function(field) {
+        return field.charAt(0) == "-" ? { name: field.substring(1), direction: -1 } : { name: field, direction: 1 };
+    });
+    return items.sort(function(a, b) {
+        for(var i = 0; i < order.length; i++) {
+            var valueA = comparableValue(a[order[i].name]);
+            var valueB = comparableValue(b[order[i].name]);
+            if(valueA === valueB)
+                continue;
+            if(valueA === null)
+                return 1;
+            if(valueB === null)
+                return -1;
+            var difference = typeof valueA == "number" && typeof valueB == "number" ? valueA - valueB :
+                String(valueA).localeCompare(String(valueB), undefined, { sensitivity: "base" });
+            if(difference != 0)
+                return difference * order[i].direction;
+        }
+        return 0;
+    });
+}
+
+/**
+ * A group of items.
+ * @typedef {Object} itemGroup
+ * @property {*} key - The value of the field (the displayed value of lookups and users, "" for the empty ones).
+ * @property {Object[]} items - The items of the group.
+ * @property {number} count - The number of items.
+ */
+
+/**
+ * Groups items by the value of a field, keeping the order in which the values appear.
+ * @param {Object[]} items
+ * @param {string} field
+ * @returns {itemGroup[]}
+ */
+function groupItems(items, field) {
+    var groups = [];
+    var byKey = {};
+    items.forEach(function(item) {
+        var value = comparableValue(item[field]);
+        var key = isDate(item[field]) ? item[field].toISOString() : value === null ? "" : value;
+        if(!byKey.hasOwnProperty(key)) {
+            byKey[key] = { key: key, items: [], count: 0 };
+            groups.push(byKey[key]);
+        }
+        byKey[key].items.push(item);
+        byKey[key].count++;
+    });
+    return groups;
+}
+
+/**
+ * Gets the different values of a field, in the order they appear. Lookups and users are compared by their displayed
+ * value, and the empty values are skipped.
+ * @param {Object[]} items
+ * @param {string} field
+ * @returns {Array} The values, as they are in the items.
+ */
+function distinctValues(items, field) {
+    return groupItems(items.filter(function(item) {
+        return comparableValue(item[field]) !== null;
+    }), field).map(function(group) {
+        return group.items[0][field];
+    });
+}
+
+/**
+ * The aggregates of a numeric field.
+ * @typedef {Object} itemAggregate
+ * @property {number} count - The number of items with a value.
+ * @property {number} sum
+ * @property {number|null} avg - null if no item has a value.
+ * @property {number|null} min
+ * @property {number|null} max
+ */
+
+/**
+ * Calculates the count, sum, average, minimum and maximum of a numeric field. The empty values and the ones that aren't
+ * numbers are skipped.
+ * @example <caption>Usage of aggregateItems() function.</caption>
+ * getListItemsAsync("Sales", ["Amount"], "", { typed: true }).then(function(sales) {
+ *     var amount = aggregateItems(sales, "Amount");
+ *     console.log(amount.count + " sales, " + amount.sum + " in total, " + amount.avg + " on average");
+ * });
+ *
+ * @param {Object[]} items
+ * @param {string} field
+ * @returns {itemAggregate}
+ */
+function aggregateItems(items, field) {
+    var values = items.map(function(item) {
+        return parseFloat(item[field]);
+    }).filter(function(value) {
+        return !isNaN(value);
+    });
+    var sum = values.reduce(function(total, value) {
+        return total + value;
+    }, 0);
+    return {
+        count: values.length,
+        sum: sum,
+        avg: values.length > 0 ? sum / values.length : null,
+        min: values.length > 0 ? Math.min.apply(null, values) : null,
+        max: values.length > 0 ? Math.max.apply(null, values) : null
+    };
+}
+
+/**
+ * Aggregates several fields.
+ * @private
+ * @returns {Object.<string, itemAggregate>}
+ */
+function aggregateFields(items, fields) {
+    var totals = {};
+    fields.forEach(function(field) {
+        totals[field] = aggregateItems(items, field);
+    });
+    return totals;
+}
+
+/**
+ * @todo Document this function
+ */
+function getUrlVars() {
+    var vars = {};
+    var parts = window.location.href.replace(/[?&]+([^=&]+)=([^&]*)/gi, function(m,key,value) {
+        vars[key] = value;
+    });
+    return vars;
+}
+
+/**
+ * Gets the distinct values of a property of some items, for example to fill a filter with the values of a column. The
+ * typed lookup and user values (see getListItemsAsync()) are compared by id and sorted by their displayed value.
+ * @example <caption>Usage of responseToArray() function.</caption>
+ * var employees = getListItems("Employees", ["Department", "Manager"]);
+ * responseToArray(employees, "Department"); // ["HR", "IT"]
+ * responseToArray(employees, "Manager", true); // ["12;#Ann Lee", "7;#John Doe"]
+ *
+ * @param {Object[]} objArr - The items, as returned by getListItems().
+ * @param {string} property - The name of the property whose values are collected.
+ * @param {boolean} [person=false] - Sorts the raw user values (id;#name) by name.
+ * @returns {Array} The distinct values, in the order they were found unless they're sorted.
+ */
+function responseToArray(objArr, property, person) {
+    var arrayObtained = [];
+    var lookupIds = [];
+    [].concat(objArr || []).forEach(function(obj) {
+        var value = obj[property];
+        if(value && typeof value == "object" && value.id !== undefined) {
+            // Typed lookup and user values are compared by id and sorted by their displayed value
+            if(lookupIds.indexOf(value.id) == -1) {
+                lookupIds.push(value.id);
+                arrayObtained.push(value);
+            }
+        } else if(arrayObtained.indexOf(value) == -1) {
+            arrayObtained.push(value);
+        }
+    });
+    if(lookupIds.length > 0) {
+        arrayObtained.sort(function(a, b) {
+            var valueA = a ? a.value : "";
+            var valueB = b ? b.value : "";
+            if(valueA > valueB) return 1;
+            if(valueA < valueB) return -1;
+            return 0;
+        });
+    } else if(person) {
+        arrayObtained.sort(function(a, b) {
+            if(a.split("#")[1] > b.split("#")[1]) return 1;
+            if(a.split("#")[1] < b.split("#")[1]) return -1;
+            return 0;
+        });
+    }
+    return arrayObtained;
+}
+
+/* NOTIFICATIONS  */
+/**
+ * Checks that jQuery is available for the DOM functions.
+ * @private
+ */
+function requireJQuery(operation) {
+    if(!$)
+        throw new SpError(operation+" needs jQuery: load it before SpSnippet.js or give it with configure({ jQuery: $ })", { operation: operation });
+}
+
+/**
+ * The background colors of the notification levels. New levels are added with setColor().
+ */
+var msgColors = {
+    success: "#51b956",
+    error: "#CA2A2A",
+    warning: "#E68F0C",
+    info: "#2F7BBF"
+};
+
+/**
+ * Changes the color of a notification level, or adds a new level.
+ * @example <caption>Usage of setColor() function.</caption>
+ * setColor("success", "#2E7D32");
+ * setColor("reminder", "#6A1B9A");
+ * notify("The report is due tomorrow", { level: "reminder" });
+ *
+ * @param {string} color - The name of the level.
+ * @param {string} value - A CSS color.
+ */
+function setColor(color, value) {
+    msgColors[color] = value;
+}
+
+/**
+ * The styles of the notifications, injected in the page with the first one.
+ * @private
+ */
+var NOTIFICATION_STYLES =
+    ".sp-notifications { position: fixed; bottom: 4%; right: 2%; width: 30%; min-width: 240px; z-index: 999999; }" +
+    ".sp-notification { display: flex; align-items: center; margin-top: 10px; padding: 12px 16px; border-radius: 10px;" +
+    " color: #FFFFFF; font-weight: bold; background: #898989; box-shadow: 0px 0px 35px -8px rgba(0,0,0,0.75); }" +
+    ".sp-notification-text { flex: 1; }" +
+    ".sp-notification button { margin-left: 10px; padding: 2px 8px; border: 1px solid #FFFFFF; border-radius: 5px;" +
+    " color: #FFFFFF; font-weight: bold; background: transparent; cursor: pointer; }" +
+    ".sp-notification .sp-notification-close { border: none; font-size: 1.2em; }";
+
+/**
+ * The notifications on screen and the ones waiting for room.
+ * @private
+ */
+var visibleNotifications = [];
+var queuedNotifications = [];
+
+/**
+ * Gets the container of the notifications, adding it and its styles to the page the first time. It's a polite live
+ * region so the screen readers announce the messages.
+ * @private
+ */
+function notificationContainer() {
+    var container = $("#sp-notifications");
+    if(container.length > 0)
+        return container;
+    if($("#sp-notification-styles").length == 0)
+        $("<style id='sp-notification-styles'>").text(NOTIFICATION_STYLES).appendTo("head");
+    return $("<div id='sp-notifications' class='sp-notifications' aria-live='polite'>").appendTo("body");
+}
+
+/**
+ * A notification created by notify().
+ * @typedef {Object} notification
+ * @property {jQuery} element - The element of the notification.
+ * @property {function()} dismiss - Closes the notification (or takes it out of the queue).
+ */
+
+/**
+ * Shows a notification. The notifications are stacked in the bottom right corner of the page; when there are too many
+ * (see the maxNotifications setting) the new ones wait until others are closed. The container and its styles are added by
+ * the library, and the colors of the levels are the ones of msgColors. The container is the only live region of the
+ * notifications, so the screen readers announce each one once, when it's shown.
+ * @example <caption>Usage of notify() function.</caption>
+ * notify("The employee was saved", { level: "success" });
+ * notify("The server couldn't be reached", { level: "error", sticky: true });
+ * notify("The document was deleted", {
+ *     level: "info",
+ *     duration: 10000,
+ *     actions: [{
+ *         label: "Undo",
+ *         onClick: function() {
+ *             restoreFileVersion(fileUrl, version);
+ *         }
+ *     }]
+ * });
+ *
+ * @param {string} msg - The text of the notification.
+ * @param {Object} [options]
+ * @param {string} [options.level=info] - success, error, warning, info or a level added with setColor().
+ * @param {number} [options.duration] - The milliseconds the notification is shown (the notificationDuration setting by
+ *        default), while the mouse isn't over it.
+ * @param {boolean} [options.sticky=false] - Keeps the notification until it's dismissed.
+ * @param {boolean} [options.dismissible=true] - Shows a button that closes the notification.
+ * @param {Object[]} [options.actions] - Buttons of the notification, with a label and an onClick(notification). The
+ *        notification is closed after the click unless onClick returns false.
+ * @returns {notification}
+ * @throws {SpError} If the level isn't defined (showMessage() keeps its old behavior instead: an alert and false).
+ */
+function notify(msg, options) {
+    requireJQuery("notify");
+    options = extend({ level: "info", duration: settings.notificationDuration, sticky: false, dismissible: true, actions: [] }, options);
+    if(msgColors[options.level] === undefined)
+        throw new SpError("notify failed: the level "+options.level+" isn't defined, add it with setColor()", { operation: "notify" });
+
+    var timer = null;
+    var element = $("<div class='sp-notification'>")
+        .addClass("sp-notification-"+options.level)
+        .css("background-color", msgColors[options.level])
+        .append($("<span class='sp-notification-text'>").text(msg));
+    var notification = {
+        element: element,
+        dismiss: function() {
+            clearTimeout(timer);
+            var queued = queuedNotifications.indexOf(notification);
+            if(queued != -1) {
+                queuedNotifications.splice(queued, 1);
+                return;
+            }
+            var visible = visibleNotifications.indexOf(notification);
+            if(visible == -1)
+                return;
+            visibleNotifications.splice(visible, 1);
+            element.fadeOut(300, function() {
+                element.remove();
+            });
+            showQueuedNotification();
+        },
+        show: function() {
+            visibleNotifications.push(notification);
+            element.hide().appendTo(notificationContainer()).fadeIn(300);
+            startTimer();
+        }
+    };
+
+    function startTimer() {
+        clearTimeout(timer);
+        if(!options.sticky && options.duration > 0)
+            timer = setTimeout(notification.dismiss, options.duration);
+    }
+    options.actions.forEach(function(action) {
+        $("<button type='button' class='sp-notification-action'>").text(action.label).on("click", function() {
+            if(action.onClick(notification) !== false)
+                notification.dismiss();
+        }).appendTo(element);
+    });
+    if(options.dismissible) {
+        $("<button type='button' class='sp-notification-close' aria-label='Dismiss'>").html("&times;").on("click", function() {
+            notification.dismiss();
+        }).appendTo(element);
+    }
+    element.on("mouseenter focusin", function() {
+        clearTimeout(timer);
+    }).on("mouseleave focusout", startTimer);
+
+    if(visibleNotifications.length < settings.maxNotifications)
+        notification.show();
+    else
+        queuedNotifications.push(notification);
+    return notification;
+}
+
+/**
+ * Shows the next queued notification, if there's room.
+ * @private
+ */
+function showQueuedNotification() {
+    if(queuedNotifications.length > 0 && visibleNotifications.length < settings.maxNotifications)
+        queuedNotifications.shift().show();
+}
+
+/**
+ * Closes every notification, the queued ones included.
+ */
+function clearNotifications() {
+    queuedNotifications = [];
+    visibleNotifications.slice().forEach(function(notification) {
+        notification.dismiss();
+    });
+}
+
+/**
+ * Shows a notification with the color of a level, see notify().
+ * @example <caption>Usage of showMessage() function.</caption>
+ * showMessage("The employee was saved", "success");
+ *
+ * @param {string} msg - The text of the notification.
+ * @param {string} color - The level: success, error, warning, info or a level added with setColor().
+ * @returns {notification|boolean} false if the color isn't defined, as before notify() existed (an alert tells it).
+ */
+function showMessage(msg, color) {
+    if(msgColors[color] === undefined) {
+        alert("The color "+color+" is not defined");
+        return false;
+    }
+    return notify(msg, { level: color });
+}
+
+/**
+ * Whether the form error tooltips were already enabled.
+ * @private
+ */
+var formErrorsEnabled = false;
+
+/**
+ * Enables the form error tooltips: when the mouse is over a select, input or textarea whose $(element).data("error") isn't
+ * empty, the error is shown in the #errorBox element, and it's cleared when the field changes. It can also be enabled with
+ * configure({ formErrors: true }).
+ * @example <caption>Usage of enableFormErrors() function.</caption>
+ * enableFormErrors();
+ * $("#FirstName").css("border", "1px solid " + msgColors.error).data("error", "The first name is required");
+ */
+function enableFormErrors() {
+    if(formErrorsEnabled)
+        return;
+    requireJQuery("enableFormErrors");
+    formErrorsEnabled = true;
+    $(function() {
+        $("#errorBox").hide();
+        $("select, input, textarea").each(function() {
+            if(!$(this).data("error"))
+                $(this).data("error", "");
+        });
+
+        $("body").on("mousemove", "select, input, textarea", function(evt) {
+            if($(this).data("error") != "")
+                $("#errorBox").css({ "top": evt.pageY +20, "left": evt.pageX + 20 });
+        });
+
+        $("body").on("mouseenter", "select, input, textarea", function(evt) {
+            if($(this).data("error") != "")
+                $("#errorBox").addClass("errorBox").text($(this).data("error")).show();
+        });    
+
+        $("body").on("mouseleave", "select, input, textarea", function(evt) {
+            $("#errorBox").removeClass("errorBox").text("").hide();
+        });
+
+        $("body").on("change keyup", "select, input, textarea", function() {
+            $(this).css("border","1px solid #66afe9").data("error","");
+        });
+        /* 
+            <div id="errorBox" class="errorBox"></div>
+            .errorBox {
+                border: 1px solid gray;
+                border-radius: 5px;
+                border-top-left-radius: 0px;
+                background-color: white;
+                position: absolute;
+                display: block;
+                padding: 0.5%;
+                z-index: 9999;
+            }
+         */
+    });
+}
+
+/* FORM VALIDATION  */
+/**
+ * Gets the list column of a form field: its data-field attribute, its name or its id.
+ * @private
+ */
+function formFieldName(element) {
+    return element.getAttribute("data-field") || element.name || element.id;
+}
+
+/**
+ * Gets the fields of a form grouped by list column. The radio buttons and checkboxes of a column share its name.
+ * @private
+ * @returns {Object.<string, jQuery>}
+ */
+function formElements(root) {
+    var elements = {};
+    $(root).find("select, input, textarea").not(":button, :submit, :reset, [type=file]").each(function() {
+        var name = formFieldName(this);
+        if(name)
+            elements[name] = elements[name] ? elements[name].add(this) : $(this);
+    });
+    return elements;
+}
+
+/**
+ * Reads the value of a form field: a boolean for a single checkbox, an array for multi-selects and groups of checkboxes,
+ * and the trimmed text for the rest.
+ * @private
+ */
+function readFormValue(elements) {
+    var first = elements.get(0);
+    if(first.type == "checkbox" && elements.length == 1)
+        return first.checked;
+    if(first.type == "checkbox") {
+        return elements.filter(":checked").map(function() {
+            return this.value;
+        }).get();
+    }
+    if(first.type == "radio")
+        return elements.filter(":checked").val() || "";
+    if(first.multiple)
+        return elements.val() || [];
+    return $.trim(elements.val());
+}
+
+/**
+ * Whether a form value is empty for the required rule.
+ * @private
+ */
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === "" || value === false || (Array.isArray(value) && value.length == 0);
+}
+
+/**
+ * Converts the value or the parameter of a date rule to a Date.
+ * @private
+ */
+function toDate(value) {
+    if(typeof value == "function")
+        value = value();
+    if(isDate(value))
+        return value;
+    return value ? decodeDate(String(value)) : null;
+}
+
+/**
+ * Marks a form field as invalid, or clears it if the message is empty. The message is shown by the #errorBox tooltip.
+ * @private
+ */
+function markFormField(elements, message) {
+    elements.css("border", message ? "1px solid "+msgColors.error : "").data("error", message || "");
+}
+
+/**
+ * Validates the fields of a form before saving them to a list. The rules of each field come from the list schema (required,
+ * Number, DateTime, choices and limits), from the data-* attributes of the field and from the fields option, in that order,
+ * so the last ones win. The invalid fields get a red border and their message is shown by the #errorBox tooltip of
+ * enableFormErrors(), until they change.
  *
- * @param {string} lName - The name of the SP list where the items will be searched.
- * @param {string[]} fields - The fields that will be taken from each item.
- * @param {string} [query=<Query></Query>] - CAML query to search only needed items.
- * @param {listCallback} [callback] - Executes a callback function if the service's response was successfull.
- * @returns {Boolean|Object|Array} A boolean if no items were found, an Object if there was only one item or an Array of Objects if more items were found.
+ * Rules: required, number, min, max, minLength, maxLength, pattern, email, date, minDate, maxDate, choices, unique (no other
+ * item of the list has the value) and validate (a function that returns or resolves with true, false or a message).
+ * The data attributes are data-required, data-min, data-max, data-min-length, data-max-length, data-pattern, data-email,
+ * data-min-date, data-max-date, data-unique and data-message (besides the required attribute). New rules are added to
+ * FormValidator.rules with their message in FormValidator.messages.
+ * @example <caption>Usage of FormValidator.</caption>
+ * // <input name="Email" data-unique="true"> <input name="Age" data-min="18" data-max="99"> <ul id="formSummary"></ul>
+ * var validator = new FormValidator("#employeeForm", {
+ *     listName: "Employees",
+ *     summary: "#formSummary",
+ *     fields: {
+ *         FirstName: { required: true, maxLength: 50 },
+ *         Email: { email: true, message: "Use the corporate email" },
+ *         StartDate: { minDate: "2017-01-01", maxDate: function() { return new Date(); } },
+ *         Badge: { validate: function(value) { return /^B\d{4}$/.test(value) || "Badges look like B0123"; } }
+ *     }
+ * });
+ * $("#save").click(function() {
+ *     validator.submit(function() {
+ *         return createNewListItemAsync("Employees", ["FirstName", "Email"], [$("#FirstName").val(), $("#Email").val()]);
+ *     }).then(function() {
+ *         showMessage("Saved", "success");
+ *     });
+ * });
+ *
+ * @constructor
+ * @param {string|Element|jQuery} form - The element that has the fields.
+ * @param {Object} [options]
+ * @param {string} [options.listName] - The SP list of the form: its schema gives rules to the fields, and it's used by unique.
+ * @param {string} [options.webUrl] - The URL of the site that has the list, if it isn't the current one.
+ * @param {boolean} [options.schema=true] - Whether the rules of the list schema are used.
+ * @param {Object.<string, Object>} [options.fields] - The rules by list column, with an optional message and label.
+ * @param {number|function(): number} [options.itemId] - The item being edited, that unique ignores.
+ * @param {string|Element|jQuery} [options.summary] - An element where the messages of the invalid fields are listed.
  */
-function getListItems(lName, fields, query, callback){
-    query = query ? query : "<Query></Query>";
-    isAsync = callback ? true : false;
-    var i = 0;
-    var listItems = [];
-    var viewFields = "";
-    fields.forEach(function(item,index) {
-        viewFields += "<FieldRef Name='"+item+"'/>";
-    });
-    viewFields = "<ViewFields>"+viewFields+"</ViewFields>";
+function FormValidator(form, options) {
+    requireJQuery("FormValidator");
+    this.form = $(form);
+    this.options = extend({ schema: true, fields: {} }, options);
+    this.site = siteFor(this.options.webUrl);
+    enableFormErrors();
+}
 
-    $().SPServices({
-        operation: "GetListItems",
-        async: isAsync,
-        listName: lName,
-        CAMLViewFields: viewFields,
-        CAMLQuery: query,                                                                             
-        completefunc: function (xData, Status){
-            if(Status == "success") {
-                $(xData.responseXML).SPFilterNode("z:row").each(function(){
-                    listItems[i] = {};
-                    var row = $(this);
-                    fields.forEach(function(item, index){
-                        listItems[i][item] = row.attr('ows_'+item);
-                    });
-                    i++;
-                });
-                if(isAsync)
-                    callback(listItems);
-            }
-        }
-    });
-    if(listItems.length > 1)
-        return listItems;
-    else {
-        if(listItems.length == 1)
-            return listItems[0];
-        else
-            return false;
+/**
+ * The rules of the validator. Each one gets the value of the field (never empty, except for required), the parameter of
+ * the rule and a { name, label, elements, validator } object, and returns true, false or a Promise of them.
+ */
+FormValidator.rules = {
+    required: function(value, required) {
+        return !required || !isEmptyValue(value);
+    },
+    number: function(value) {
+        return !isNaN(Number(value));
+    },
+    min: function(value, min) {
+        return Number(value) >= Number(min);
+    },
+    max: function(value, max) {
+        return Number(value) <= Number(max);
+    },
+    minLength: function(value, minLength) {
+        return String(value).length >= minLength;
+    },
+    maxLength: function(value, maxLength) {
+        return String(value).length <= maxLength;
+    },
+    pattern: function(value, pattern) {
+        return (pattern instanceof RegExp ? pattern : new RegExp("^(?:"+pattern+")$")).test(value);
+    },
+    email: function(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    },
+    date: function(value) {
+        return toDate(value) !== null;
+    },
+    minDate: function(value, minDate) {
+        var date = toDate(value);
+        return date !== null && date >= toDate(minDate);
+    },
+    maxDate: function(value, maxDate) {
+        var date = toDate(value);
+        return date !== null && date <= toDate(maxDate);
+    },
+    choices: function(value, choices) {
+        return [].concat(value).every(function(choice) {
+            return choices.indexOf(String(choice)) != -1;
+        });
+    },
+    unique: function(value, unique, field) {
+        var validator = field.validator;
+        if(!unique || !validator.options.listName)
+            return true;
+        var itemId = typeof validator.options.itemId == "function" ? validator.options.itemId() : validator.options.itemId;
+        var query = new CamlQuery().where(Caml.eq(field.name, value));
+        if(itemId)
+            query.and(Caml.neq("ID", itemId));
+        return validator.site.getListItemsPage(validator.options.listName, ["ID"], query, { pageSize: 1, cache: false }).then(function(page) {
+            return page.items.length == 0;
+        });
     }
-}
+};
 
-/*
- * An array that defines the data that will be sent with the file.
- * @typedef {*} valuesArray
+/**
+ * The messages of the rules, {label} is replaced by the label of the field and {param} by the parameter of the rule.
  */
+FormValidator.messages = {
+    required: "{label} is required",
+    number: "{label} must be a number",
+    min: "{label} must be at least {param}",
+    max: "{label} must be at most {param}",
+    minLength: "{label} must have at least {param} characters",
+    maxLength: "{label} must have at most {param} characters",
+    pattern: "{label} isn't valid",
+    email: "{label} must be an email address",
+    date: "{label} must be a date",
+    minDate: "{label} must be on or after {param}",
+    maxDate: "{label} must be on or before {param}",
+    choices: "{label} must be one of {param}",
+    unique: "Another item already has this {label}",
+    validate: "{label} isn't valid"
+};
 
 /**
- * Creates a new item in the given list.
- * @example <caption>How to use createNewListItem() function.</caption>
- * // returns true if the process was successfully done, or false otherwise.
- * createNewListItem("Employees", ["FirstName", "LastName"], ["John", "Doe"]);
- * 
- * @param {string} lName - The name of the SP list where the item will be created.
- * @param {string[]} fields - An array with the names of the columns that will receive a value.
- * @param {valuesArray[]} values - An array with the values that will be set in each column (the length of fields[] and values[] must be the same).
- * @returns {Boolean} A boolean indicating if the creation could or couldn't be done as expected.
+ * The data attributes of the fields and the rules they declare.
+ * @private
  */
-function createNewListItem(lName, fields, values) {
-    var fieldValues = [];
-    var response = false;
-    fields.forEach(function(item, index) {
-        var pairs = [fields[index], values[index]];
-        fieldValues.push(pairs);
-    });
-    
-    $().SPServices({
-        operation: 'UpdateListItems',
-        async: false,
-        batchCmd: 'New',
-        listName: lName,
-        valuepairs: fieldValues,
-        completefunc: function(xData, Status) {
-            var newId = $(xData.responseXML).SPFilterNode("z:row").attr("ows_ID");
-            if (Status == "success" && newId >= 0)  {
-                response = true;
-            } else  {   
-                response = false;
-            }
-        }
-    });
-    return response;
+var VALIDATION_ATTRIBUTES = {
+    "data-required": "required",
+    "data-min": "min",
+    "data-max": "max",
+    "data-min-length": "minLength",
+    "data-max-length": "maxLength",
+    "data-pattern": "pattern",
+    "data-email": "email",
+    "data-min-date": "minDate",
+    "data-max-date": "maxDate",
+    "data-unique": "unique"
+};
+
+/**
+ * Gets the rules that the schema of the list gives to a field.
+ * @private
+ */
+function schemaRules(field) {
+    var rules = {};
+    if(field.required && !field.readOnly)
+        rules.required = true;
+    if(field.type == "Number" || field.type == "Currency") {
+        rules.number = true;
+        if(field.min !== null)
+            rules.min = field.min;
+        if(field.max !== null)
+            rules.max = field.max;
+    }
+    if(field.type == "DateTime")
+        rules.date = true;
+    if(field.maxLength !== null)
+        rules.maxLength = field.maxLength;
+    if(field.choices && !field.fillIn)
+        rules.choices = field.choices;
+    return rules;
 }
 
 /**
- * Updates an item in the given list.
- * @example <caption>Usage of updateListItem() function.</caption>
- * // returns true if the process was successfully done, or false otherwise. You must declare at least two fields / values: the ID and the field of the item which you want to update.
- * updateListItem("Employees", ["ID", "FirstName", "LastName"], [152, "John", "Doe"]); // Assuming 152 is the item's ID
- *
- * @param {string} lName - The SP list name where the selected item should exist to be modified.
- * @param {string[]} fields - A string array with the internal names of the columns in which item's values will be modified.
- * @param {valuesArray[]} values - An array with the values that will overwrite the existing values in the declared fields.
- * @returns {Boolean} A boolean indicating if the transaction has been done as expected.
+ * Gets the rules that the attributes of a field declare.
+ * @private
  */
-function updateListItem(lName, fields, values) {
-    var fieldValues = "";
-    fields.forEach(function(item, index) {
-        fieldValues += "<Field Name='"+fields[index]+"'>"+values[index]+"</Field>";
-    });
-    var batch = "<Batch OnError='Continue' PreCalc='TRUE'><Method ID='1' Cmd='Update'>"+fieldValues+"</Method></Batch>";
-    var response;
-    $().SPServices({
-        operation: "UpdateListItems",
-        async: false,
-        listName: lName,
-        updates: batch,
-        completefunc: function(xData, Status) {
-            var newId = $(xData.responseXML).SPFilterNode("z:row").attr("ows_ID");
-            if (Status == "success" && newId >= 0) {
-                response = true;
-            } else  {
-                response = false;
-            }
-        }
+function attributeRules(elements) {
+    var rules = {};
+    var element = elements.get(0);
+    if(element.hasAttribute("required"))
+        rules.required = true;
+    Object.keys(VALIDATION_ATTRIBUTES).forEach(function(attribute) {
+        var value = element.getAttribute(attribute);
+        if(value !== null)
+            rules[VALIDATION_ATTRIBUTES[attribute]] = value === "" || value == "true" ? true : value == "false" ? false : value;
     });
-    return response;
+    if(element.getAttribute("data-message"))
+        rules.message = element.getAttribute("data-message");
+    return rules;
 }
 
 /**
- * Deletes an item in the selected list.
- * @example <caption>Usage of deleteListItem() function.</caption>
- * // returns true if the item was successfully deleted, or false otherwise.
- * deleteListItem("Employees", 152);
- *
- * @param {string} lName - The SP list that has the item that will be deleted.
- * @param {number} id - The id of the item that sharepoint gave it when it was created.
- * @returns {Boolean} false if the process wasn't successfully done, otherwise, true.
+ * Gets the label of a field: the label option, the <label> of the field, the display name in the schema or the column name.
+ * @private
  */
-function deleteListItem(lName, id) {
-    var fieldValues = "<Field Name='ID'>"+id+"</Field>";
-    var batch = "<Batch OnError='Continue' PreCalc='TRUE'><Method ID='1' Cmd='Delete'>"+fieldValues+"</Method></Batch>";
-    var response;
-    $().SPServices({
-        operation: "UpdateListItems",
-        async: false,
-        listName: lName,
-        updates: batch,
-        completefunc: function(xData, Status) {
-            var newId = $(xData.responseXML).SPFilterNode("z:row").attr("ows_ID");
-            if (Status == "success" && newId >= 0) {
-                response = true;
-            } else  {
-                response = false;
-            }
-        }
-    });
-    return response;
+function fieldLabel(name, elements, rules, schemaField) {
+    var label = elements.get(0).id ? $("label[for='"+elements.get(0).id.replace(/'/g, "\\'")+"']").first().text() : "";
+    return rules.label || $.trim(label).replace(/\s*\*$/, "") || (schemaField && schemaField.displayName) || name;
 }
 
 /**
- * An array that defines the data that will be sent with the file.
- * @typedef {array} fieldsArray
- * @property {string} 0 - The value type.
- * @property {string} 1 - Display name of the column in the Sharepoint Library.
- * @property {string} 2 - Internal name of the column in the Sharepoint Library.
- * @property {*} 3 - The value that the item's declared column will take.
+ * Builds the message of a failed rule.
+ * @private
  */
+function ruleMessage(rule, param, label) {
+    var message = FormValidator.messages[rule] || FormValidator.messages.validate;
+    if(isDate(param))
+        param = param.toLocaleDateString();
+    return message.replace(/\{label\}/g, label).replace(/\{param\}/g, Array.isArray(param) ? param.join(", ") : param);
+}
 
 /**
- * Allows the user to upload a file to a Sharepoint library.
- * @example <caption>Usage of uploadFile() function.</caption>
- * // Calls the corresponding callback function depending on the status of the transaction.
- * var urlSite = "http://example.us/sites/mainsite/subsite/site";
- * var lName = "EmployeesDocuments";
- * var idInputFile = "fileInput"; // You should have a <input type='file' id='fileInput'/> in the DOM
- * var fields = [["Text", "Description", "Description", "Description of the file that will be uploaded."],
-                 ["Number", "EmployeeID", "EmployeeID", 152]];
-        // Field Type | Display Name | Internal Name | Value
-        // You can declare as many fields as columns in the library.
- * var filename = "JohnDoe.txt"; // I'm assuming you have file defined somewhere in your code.
- * function onSuccess() {
-        alert("Wohooo file uploaded");
-   }
- * function onError() {
-        alert("Oops, something went wrong :("); 
-   }
- * uploadFile(urlSite, lName, idInputFile, fields, file, onSuccess, onError);
- *
- * @param {string} urlSite - The URL where the library belongs to.
- * @param {string} lName - The library's name.
- * @param {string} idInputFile - The id of the file input that is being used to upload the file.
- * @param {fieldsArray[]} fields.
- * @param {string} filename - The file's name.
- * @param {file} file - The file to upload.
- * @param {successCallback} [successCallback] - A callback function to call if the file was uploaded successfully.
- * @param {errorCallback} [errorCallback] - A callback function to call if the file couldn't be uploaded.
+ * The position of a rule in the checks of a field.
+ * @private
  */
-function uploadFile(urlSite, lName, idInputFile, fields, filename, file, successCallback, errorCallback) {
-    var path = $("#"+idInputFile).val();
-    var fieldInformation = "";
-    $.each(fields, function(i, values) {
-        var type = values[0];
-        var displayName = values[1];
-        var internalName = values[2];
-        var value = values[3];
-        fieldInformation += "<FieldInformation Type='"+type+"' DisplayName='"+displayName+"' InternalName='"+internalName+"' Value='"+value+"'/>";
-    });
-    filereader = new FileReader();
-    filereader.filename = filename;
-    filereader.onload = function() {
-        data = filereader.result;
-        n = data.indexOf(';base64,')+8;
-        data = data.substring(n);
-        var soapEnv =
-        "<soap:Envelope xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xmlns:xsd='http://www.w3.org/2001/XMLSchema' xmlns:soap='http://schemas.xmlsoap.org/soap/envelope/'> \
-            <soap:Body>\
-                <CopyIntoItems xmlns='http://schemas.microsoft.com/sharepoint/soap/'>\
-                    <SourceUrl>" + path + "</SourceUrl>\
-                        <DestinationUrls>\
-                            <string>"+urlSite+"/"+lName+"/" + filename + "</string>\
-                        </DestinationUrls>\
-                        <Fields>\
-                            "+fieldInformation+"\
-                        </Fields>\
-                    <Stream>" + data + "</Stream>\
-                </CopyIntoItems>\
-            </soap:Body>\
-        </soap:Envelope>";
-
-        $.ajax({
-            url: urlSite + "/_vti_bin/Copy.asmx",
-            beforeSend: function (xhr) { 
-                xhr.setRequestHeader("SOAPAction", "http://schemas.microsoft.com/sharepoint/soap/CopyIntoItems"); },
-            type: "POST",
-            dataType: "xml",
-            data: soapEnv,
-            success: function() {
-                if(successCallback)
-                    successCallback();
-                else
-                    console.log("File uploaded successfully");
-            },
-            error: function(response) {
-                if(errorCallback)
-                    errorCallback(response);
-                else
-                    console.log("The file couldn't be uploaded");
-            },
-            contentType: "text/xml; charset=\"utf-8\""
-        });
-    };
-    filereader.readAsDataURL(file);
+function ruleOrder(rule) {
+    return rule == "required" ? 0 : rule == "unique" || rule == "validate" ? 2 : 1;
 }
 
 /**
- * Delete a file from a library
- * @example <caption>How to use deleteFile() function.</caption>
- * // returns true if the transaction was done succesfully or false if it wasn't.
- * var lName = "EmployeesDocuments";
- * var docPath = "http://example.us/sites/mainsite/subsite/site/EmployeesDocuments/JohnDoe.txt";
- * deleteFile(lName, docPath, 12); // Assuming 12 is the id of the document in the library
- *
- * @param {string} lName - The name of the library that the file belongs to.
- * @param {string} filePath - The URL of the file that will be deleted.
- * @param {number} id - The item's id.
+ * Checks the rules of a field one by one, stopping at the first that fails.
+ * @private
+ * @returns {Promise<Object|null>} Resolves with the { rule, message } of the failure, null if the field is valid.
  */
-function deleteFile(lName, filePath, id) {
-    var batchCmd = "<Batch OnError='Continue'>\
-                        <Method ID='1' Cmd='Delete'>\
-                            <Field Name='ID'>" + id + "</Field>\
-                            <Field Name='FileRef'>" + filePath + "</Field>\
-                        </Method>\
-                    </Batch>";
-    var response = false;
-
-    $().SPServices({
-        operation: "UpdateListItems",
-        async: false,
-        listName: lName,
-        updates: batchCmd,
-        completefunc: function ( xData, Status ) {
-            $( xData.responseXML ).SPFilterNode( 'ErrorCode' ).each( function(){
-                responseError = $( this ).text();
-                if ( responseError === '0x00000000' ) {
-                    response = true;
-                } else {
-                    response = false;
-                }
-            });
-        }
+function checkFieldRules(field, value, rules) {
+    var names = Object.keys(rules).filter(function(rule) {
+        return rule != "message" && rule != "label" && rules[rule] !== false;
     });
-    return response;
+    // required goes first and the rules that query the list last
+    names.sort(function(a, b) {
+        return ruleOrder(a) - ruleOrder(b);
+    });
+
+    function next(index) {
+        if(index >= names.length)
+            return Promise.resolve(null);
+        var rule = names[index];
+        var param = rules[rule];
+        if(rule != "required" && isEmptyValue(value))
+            return next(index + 1);
+        var check = rule == "validate" ? param : FormValidator.rules[rule];
+        if(!check)
+            return Promise.reject(reportError(new SpError("FormValidator failed: unknown rule "+rule, { operation: "FormValidator.validate" })));
+        return Promise.resolve(check(value, param, field)).then(function(result) {
+            if(result === true || result === undefined)
+                return next(index + 1);
+            return {
+                rule: rule,
+                message: typeof result == "string" ? result : rules.message || ruleMessage(rule, typeof param == "function" ? param() : param, field.label)
+            };
+        });
+    }
+    return next(0);
 }
 
-/* CROSS-SITE SP FUNCTIONS */
 /**
- * @todo Document this function
+ * A field that failed the validation.
+ * @typedef {Object} validationError
+ * @property {string} field - The list column of the field.
+ * @property {string} label - The label shown in the messages.
+ * @property {string} rule - The rule that failed.
+ * @property {string} message - The message shown to the user.
+ * @property {jQuery} elements - The elements of the field.
  */
-function getExternalListItems(lName, query, fields, webUrl, callback){
-    isAsync = callback ? true : false;
-    var i = 0;
-    var listItems = [];
-    var viewFields = "";
-    fields.forEach(function(item,index) {
-        viewFields += "<FieldRef Name='"+item+"'/>";
+
+/**
+ * The result of a validation.
+ * @typedef {Object} validationSummary
+ * @property {boolean} valid - Whether every field is valid.
+ * @property {validationError[]} errors - The invalid fields, in the order of the form.
+ */
+
+/**
+ * Gets the rules of the fields of the form, with the list schema if there's one.
+ * @private
+ * @returns {Promise<Object[]>} Resolves with the { name, label, elements, rules, validator } of each field that has rules.
+ */
+FormValidator.prototype.fieldRules = function() {
+    var validator = this;
+    var options = this.options;
+    var schema = options.listName && options.schema ? this.site.getListSchema(options.listName) : Promise.resolve(null);
+    return schema.then(function(schema) {
+        var elements = formElements(validator.form);
+        return Object.keys(elements).map(function(name) {
+            var schemaField = schema ? schema.fieldsByName[name] : null;
+            var rules = extend({}, schemaField ? schemaRules(schemaField) : {}, attributeRules(elements[name]), options.fields[name]);
+            return {
+                name: name,
+                label: fieldLabel(name, elements[name], rules, schemaField),
+                elements: elements[name],
+                rules: rules,
+                validator: validator
+            };
+        }).filter(function(field) {
+            return Object.keys(field.rules).length > 0;
+        });
     });
-    viewFields = "<ViewFields>"+viewFields+"</ViewFields>";
+};
 
-    $().SPServices({
-        operation: "GetListItems",
-        async: isAsync,
-        webURL: webUrl,
-        listName: lName,
-        CAMLViewFields: viewFields,
-        CAMLQuery: query,                                                                             
-        completefunc: function (xData, Status){
-            if(Status == "success") {
-                $(xData.responseXML).SPFilterNode("z:row").each(function(){
-                    listItems[i] = {};
-                    var row = $(this);
-                    fields.forEach(function(item, index){
-                        listItems[i][item] = row.attr('ows_'+item);
+/**
+ * Validates the fields of the form, marks the invalid ones and fills the summary element.
+ * @param {string[]} [names] - The list columns to validate, every field of the form by default.
+ * @returns {Promise<validationSummary>}
+ */
+FormValidator.prototype.validate = function(names) {
+    var validator = this;
+    return this.fieldRules().then(function(fields) {
+        fields = fields.filter(function(field) {
+            return !names || names.indexOf(field.name) != -1;
+        });
+        return Promise.all(fields.map(function(field) {
+            return checkFieldRules(field, readFormValue(field.elements), field.rules);
+        })).then(function(failures) {
+            var errors = [];
+            fields.forEach(function(field, index) {
+                markFormField(field.elements, failures[index] ? failures[index].message : "");
+                if(failures[index]) {
+                    errors.push({
+                        field: field.name,
+                        label: field.label,
+                        rule: failures[index].rule,
+                        message: failures[index].message,
+                        elements: field.elements
                     });
-                    i++;
-                });
-                if(isAsync)
-                    callback(listItems);
-            }
-        }
+                }
+            });
+            var summary = { valid: errors.length == 0, errors: errors };
+            validator.showSummary(summary);
+            return summary;
+        });
     });
-    return listItems;
-}
+};
 
 /**
- * @todo Document this function
+ * Lists the messages of a validation in the summary element, or hides it if the form is valid.
+ * @private
  */
-function createExternalListItem(lName, fields, values, webUrl) {
-    var fieldValues = [];
-    var response = false;
-    fields.forEach(function(item, index) {
-        var pairs = [fields[index], values[index]];
-        fieldValues.push(pairs);
+FormValidator.prototype.showSummary = function(summary) {
+    if(!this.options.summary)
+        return;
+    var element = $(this.options.summary).empty().toggle(!summary.valid);
+    var list = element.is("ul, ol") ? element : $("<ul>").appendTo(element);
+    summary.errors.forEach(function(error) {
+        list.append($("<li>").text(error.message));
     });
+};
 
-    $().SPServices({
-        operation: 'UpdateListItems',
-        async: false,
-        batchCmd: 'New',
-        listName: lName,
-        webURL: webUrl,
-        valuepairs: fieldValues,
-        completefunc: function(xData, Status) {
-            var newId = $(xData.responseXML).SPFilterNode("z:row").attr("ows_ID");
-            if (Status == "success" && newId >= 0)  {
-                response = true;
-            } else  {   
-                response = false;
-            }
+/**
+ * Validates the form and, if it's valid, runs the action that saves it.
+ * @param {function(): Promise} action - Creates or updates the item, usually with createNewListItemAsync() or updateListItemAsync().
+ * @returns {Promise} Resolves with the result of the action, or rejects with an SpError (errorCode InvalidValues) without
+ *          running it if the form isn't valid.
+ */
+FormValidator.prototype.submit = function(action) {
+    return this.validate().then(function(summary) {
+        if(!summary.valid) {
+            throw reportError(new SpError("The form has "+summary.errors.length+" invalid field(s)", {
+                operation: "FormValidator.submit",
+                errorCode: "InvalidValues",
+                errorText: summary.errors.map(function(error) {
+                    return error.message;
+                }).join("\n")
+            }));
         }
+        return action();
     });
-    return response;
-}
+};
 
 /**
- * @todo Document this function
+ * Clears the marks of the invalid fields and the summary.
  */
-function updateExternalListItem(lName, fields, values, webUrl) {
-    var fieldValues = "";
-    fields.forEach(function(item, index) {
-        fieldValues += "<Field Name='"+fields[index]+"'>"+values[index]+"</Field>";
-    });
-    var batch = "<Batch OnError='Continue' PreCalc='TRUE'><Method ID='1' Cmd='Update'>"+fieldValues+"</Method></Batch>";
-    var response;
-    $().SPServices({
-        operation: "UpdateListItems",
-        async: false,
-        webURL: webUrl,
-        listName: lName,
-        updates: batch,
-        completefunc: function(xData, Status) {
-            var newId = $(xData.responseXML).SPFilterNode("z:row").attr("ows_ID");
-            if (Status == "success" && newId >= 0) {
-                response = true;
-            } else  {
-                response = false;
-            }
-        }
+FormValidator.prototype.reset = function() {
+    var elements = formElements(this.form);
+    Object.keys(elements).forEach(function(name) {
+        markFormField(elements[name], "");
     });
-    return response;
+    this.showSummary({ valid: true, errors: [] });
+};
+
+/* FORM BINDING  */
+/**
+ * Formats a date for a form field: yyyy-MM-dd for date inputs and text, yyyy-MM-ddTHH:mm for datetime-local inputs.
+ * @private
+ */
+function formDateValue(date, type) {
+    function pad(number) {
+        return (number < 10 ? "0" : "")+number;
+    }
+    var value = date.getFullYear()+"-"+pad(date.getMonth() + 1)+"-"+pad(date.getDate());
+    return type == "datetime-local" ? value+"T"+pad(date.getHours())+":"+pad(date.getMinutes()) : value;
 }
 
-/* UTILITIES  */
 /**
- * @todo Document this function
+ * Writes a value of an item (as the typed queries decode it) into a form field.
+ * @private
  */
-function getCurrentUser() {
-    var idUser, name;
-    var user = [];
-    var soapEnv = "<soap:Envelope xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance' xmlns:xsd='http://www.w3.org/2001/XMLSchema' xmlns:soap='http://schemas.xmlsoap.org/soap/envelope/'> \
-                    <soap:Body> \
-                        <GetCurrentUserInfo xmlns='http://schemas.microsoft.com/sharepoint/soap/directory/' /> \
-                    </soap:Body> \
-                </soap:Envelope>";
-    $.ajax({
-        url: URL_SITE+"/_vti_bin/usergroup.asmx",
-        async:false,
-        type: "POST",
-        dataType: "xml",
-        data: soapEnv,
-        complete: function(xData, status){
-            idUser = $(xData.responseXML).find("User").attr("ID");  
-            name = $(xData.responseXML).find("User").attr("Name");  
-        },
-        contentType: "text/xml; charset=\"utf-8\""
+function writeFormValue(elements, value) {
+    var first = elements.get(0);
+    var values = [].concat(value === undefined || value === null ? [] : value).map(function(part) {
+        if(part && typeof part == "object" && part.id !== undefined)
+            return String(part.id);
+        if(part && typeof part == "object" && part.url !== undefined)
+            return part.url;
+        if(isDate(part))
+            return formDateValue(part, first.type);
+        return String(part);
     });
-    user = [idUser, name];
-    return user;
+    if(first.type == "checkbox" && elements.length == 1) {
+        first.checked = value === true || values[0] == "1" || /^true$/i.test(values[0]);
+    } else if(first.type == "checkbox" || first.type == "radio") {
+        elements.each(function() {
+            this.checked = values.indexOf(this.value) != -1;
+        });
+    } else if(first.multiple) {
+        elements.val(values);
+    } else if(first.tagName == "SELECT" || value === null || typeof value != "object" || isDate(value)) {
+        elements.val(values.join(", "));
+    } else {
+        // Lookups and users shown in text fields display their value
+        elements.val([].concat(value).map(function(part) {
+            return part.value !== undefined ? part.value : part.description || part.url;
+        }).join(", "));
+    }
 }
 
 /**
- * @todo Document this function
+ * Parses a date typed by a user or read from a file. A date without time (yyyy-MM-dd) is the local midnight, like the date
+ * inputs give it.
+ * @private
+ * @returns {Date|null}
  */
-function getUrlVars() {
-    var vars = {};
-    var parts = window.location.href.replace(/[?&]+([^=&]+)=([^&]*)/gi, function(m,key,value) {
-        vars[key] = value;
-    });
-    return vars;
+function parseDateText(value) {
+    var day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    return day ? new Date(day[1], day[2] - 1, day[3]) : toDate(value);
 }
 
 /**
- * @todo Document this function
+ * Converts a value read from a form to the value sent for a field of the list.
+ * @private
  */
-function responseToArray(objArr, property, person) {
-    var arrayObtained = [];
-    $.each(objArr, function(i, obj) {
-        if(arrayObtained.indexOf(obj[property]) == -1)
-            arrayObtained.push(obj[property]);
-    });
-    if(person) {
-        arrayObtained.sort(function(a, b) {
-            if(a.split("#")[1] > b.split("#")[1]) return 1;
-            if(a.split("#")[1] < b.split("#")[1]) return -1;
-            return 0;
-        });
+function formValueToField(value, field) {
+    if(!field || value === "")
+        return value;
+    switch(field.type) {
+        case "DateTime":
+            return parseDateText(value) || value;
+        case "LookupMulti":
+        case "UserMulti":
+            return [].concat(value).map(function(id) {
+                return { id: id };
+            });
+        default:
+            return value;
     }
-    return arrayObtained;
 }
 
-/* NOTIFICATIONS  */
 /**
- * @todo Document this function
+ * Reads the mode of a form page from its URL: the mode parameter, the name of the page (NewForm, EditForm and DispForm
+ * .aspx) or the ID parameter.
+ * @private
  */
-var msgColors = {
-    success: "#51b956",
-    error: "#CA2A2A",
-    warning: "#E68F0C"
-};
+function formModeFromUrl() {
+    var vars = getUrlVars();
+    if(/^(new|edit|display)$/.test(vars.mode))
+        return vars.mode;
+    var page = window.location.pathname.split("/").pop();
+    if(/^DispForm\./i.test(page))
+        return "display";
+    if(/^EditForm\./i.test(page))
+        return "edit";
+    if(/^NewForm\./i.test(page))
+        return "new";
+    return vars.ID ? "edit" : "new";
+}
 
 /**
- * @todo Document this function
+ * Binds an HTML form to an item of a list. The fields of the form are matched to the columns of the list by their
+ * data-field attribute, their name or their id, and the ones that aren't columns of the list are ignored. load() fills
+ * them with the item (choices, checkboxes, multi-selects, dates, lookups and users) and save() sends only the fields that
+ * changed. Lookup and user fields are selects (or checkboxes) whose values are the ids of the items or users.
+ * @example <caption>Usage of ListForm in an edit page (EditEmployee.aspx?ID=12).</caption>
+ * var form = new ListForm("#employeeForm", {
+ *     listName: "Employees",
+ *     validate: { summary: "#formSummary" }
+ * });
+ * form.load().then(function(item) {
+ *     $("#title").text(form.mode == "new" ? "New employee" : item.FirstName + " " + item.LastName);
+ * });
+ * $("#save").click(function() {
+ *     form.save().then(function() {
+ *         showMessage("The employee was saved", "success");
+ *     });
+ * });
+ *
+ * @constructor
+ * @param {string|Element|jQuery} form - The element that has the fields.
+ * @param {Object} options
+ * @param {string} options.listName - The SP list of the items.
+ * @param {string} [options.webUrl] - The URL of the site that has the list, if it isn't the current one.
+ * @param {string} [options.mode] - new, edit or display. By default it's read from the URL (see load()).
+ * @param {number} [options.itemId] - The item of the edit and display modes, the ID parameter of the URL by default.
+ * @param {string[]} [options.fields] - The columns bound to the form, every field of the form that's a column by default.
+ * @param {boolean|Object} [options.validate] - Validates the form before saving it with a FormValidator (true or its options).
+ * @param {boolean} [options.concurrency=false] - Saves only if nobody changed the item since it was loaded. Otherwise save()
+ *        fails with the conflict (see updateListItemAsync()), and the form can be loaded again or saved with { overwrite: true }.
  */
-function setColor(color, value) {
-    msgColors[color] = value;
+function ListForm(form, options) {
+    requireJQuery("ListForm");
+    this.form = $(form);
+    this.options = extend({}, options);
+    this.site = siteFor(this.options.webUrl);
+    this.mode = this.options.mode || formModeFromUrl();
+    this.itemId = this.options.itemId || (this.mode != "new" ? parseInt(getUrlVars().ID, 10) || null : null);
+    this.item = null;
+    this.original = {};
+    var self = this;
+    this.validator = this.options.validate ? new FormValidator(form, extend({
+        listName: this.options.listName,
+        webUrl: this.options.webUrl,
+        itemId: function() {
+            return self.itemId;
+        }
+    }, this.options.validate === true ? {} : this.options.validate)) : null;
 }
 
 /**
- * @todo Document this function
+ * Gets the fields of the form that are columns of the list.
+ * @private
+ * @returns {Promise<Object>} Resolves with the schema of the list and the elements of the bound columns.
  */
-function showMessage(msg, color) {
-    if($("#update-status").length == 0) {
-        alert("You need to add the .message div tag in order to use notifications.");
-        // Add this tag to your html <div id="update-status" class="message"></div>
-        /* and this style to your css
-            .message {
-                display: none;
-                width: 30%;
-                position: fixed;
-                bottom: 4%;
-                right: 2%;
-                padding: 2%;
-                text-align: center;
-                border: none;
-                border-radius: 10px;
-                color: #FFFFFF;
-                font-weight: bold;
-                background: #898989;
-                z-index: 999999;
-                -webkit-box-shadow: 0px 0px 35px -8px rgba(0,0,0,0.75);
-                -moz-box-shadow: 0px 0px 35px -8px rgba(0,0,0,0.75);
-                box-shadow: 0px 0px 35px -8px rgba(0,0,0,0.75);
+ListForm.prototype.boundFields = function() {
+    var self = this;
+    return this.site.getListSchema(this.options.listName).then(function(schema) {
+        var elements = formElements(self.form);
+        var bound = {};
+        Object.keys(elements).forEach(function(name) {
+            if(schema.fieldsByName[name] && (!self.options.fields || self.options.fields.indexOf(name) != -1))
+                bound[name] = elements[name];
+        });
+        return { schema: schema, elements: bound };
+    });
+};
+
+/**
+ * Loads the item of the form and fills the fields with it. In new mode the fields keep their values, and in display mode
+ * they're disabled.
+ * @returns {Promise<Object|null>} Resolves with the item (typed values, see getListItemsAsync()), null in new mode.
+ */
+ListForm.prototype.load = function() {
+    var self = this;
+    var context = { operation: "ListForm.load", listName: this.options.listName, itemId: this.itemId };
+    return this.boundFields().then(function(bound) {
+        var names = Object.keys(bound.elements);
+        if(self.mode == "display")
+            self.form.find("select, input, textarea, button").prop("disabled", true);
+        if(self.mode == "new") {
+            self.original = {};
+            return null;
+        }
+        if(!self.itemId)
+            throw reportError(new SpError(context.operation+" failed: there's no item ID in the URL", context));
+        if(self.options.concurrency)
+            names.push("owshiddenversion");
+        return self.site.getListItems(self.options.listName, ["ID"].concat(names), new CamlQuery().where(Caml.eq("ID", self.itemId)), {
+            typed: true,
+            cache: false
+        }).then(function(items) {
+            if(items.length == 0) {
+                throw reportError(new SpError(context.operation+" failed: the item "+self.itemId+" doesn't exist", extend({
+                    errorCode: "NotFound"
+                }, context)));
             }
-         */
-        return false;
-    }
-    if(msgColors[color] == undefined) {
-        alert("The color "+color+" is not defined");
-        return false;
-    }
+            self.populate(items[0], bound.elements);
+            return items[0];
+        });
+    });
+};
 
-    $("#update-status").text(msg);
-    $("#update-status").css("background-color", msgColors[color]);
-    $("#update-status").fadeIn(1000,function() {
-        setTimeout(function() {
-            $("#update-status").fadeOut(1000);
-        },3000);
+/**
+ * Fills the fields of the form with an item and remembers their values to find the changes.
+ * @private
+ */
+ListForm.prototype.populate = function(item, elements) {
+    Object.keys(elements).forEach(function(name) {
+        writeFormValue(elements[name], item[name]);
     });
-}
+    this.item = item;
+    this.original = this.read(elements);
+};
 
 /**
- * @todo Document this function
+ * Reads the bound fields of the form.
+ * @private
  */
-$(function() {
-    $("#errorBox").hide();
-    $("select, input, textarea").data("error", "");
+ListForm.prototype.read = function(elements) {
+    var values = {};
+    Object.keys(elements).forEach(function(name) {
+        values[name] = readFormValue(elements[name]);
+    });
+    return values;
+};
 
-    $("body").on("mousemove", "select, input, textarea", function(evt) {
-        if($(this).data("error") != "")
-            $("#errorBox").css({ "top": evt.pageY +20, "left": evt.pageX + 20 });
+/**
+ * Gets the values of the bound fields that changed since the item was loaded (every field with a value in new mode).
+ * @returns {Promise<Object.<string, *>>} Resolves with the values by column, as they're sent to SharePoint.
+ */
+ListForm.prototype.changes = function() {
+    var self = this;
+    return this.boundFields().then(function(bound) {
+        var values = self.read(bound.elements);
+        var changes = {};
+        Object.keys(values).forEach(function(name) {
+            var field = bound.schema.fieldsByName[name];
+            if(field.readOnly)
+                return;
+            if(self.mode == "new" ? isEmptyValue(values[name]) : encodeFieldValue(values[name]) === encodeFieldValue(self.original[name]))
+                return;
+            changes[name] = formValueToField(values[name], field);
+        });
+        return changes;
     });
+};
 
-    $("body").on("mouseenter", "select, input, textarea", function(evt) {
-        if($(this).data("error") != "")
-            $("#errorBox").addClass("errorBox").text($(this).data("error")).show();
-    });    
+/**
+ * Saves the form: creates the item in new mode (and then goes to edit mode) or updates the fields that changed in edit mode.
+ * With the validate option the form is validated first.
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite=false] - With the concurrency option, saves the changes even if the item changed.
+ * @returns {Promise<Object|null>} Resolves with the item as returned by SharePoint, or null if nothing changed.
+ */
+ListForm.prototype.save = function(options) {
+    options = options || {};
+    var self = this;
+    var context = { operation: "ListForm.save", listName: this.options.listName, itemId: this.itemId };
+    if(this.mode == "display")
+        return Promise.reject(reportError(new SpError(context.operation+" failed: the form is in display mode", context)));
 
-    $("body").on("mouseleave", "select, input, textarea", function(evt) {
-        $("#errorBox").removeClass("errorBox").text("").hide();
-    });
+    function send() {
+        return self.changes().then(function(changes) {
+            var fields = Object.keys(changes);
+            var values = fields.map(function(name) {
+                return changes[name];
+            });
+            if(self.mode == "edit" && fields.length == 0)
+                return null;
+            var version = self.options.concurrency && !options.overwrite && self.item ? self.item.owshiddenversion : undefined;
+            var saved = self.mode == "new" ? self.site.createListItem(self.options.listName, fields, values) :
+                self.site.updateListItem(self.options.listName, ["ID"].concat(fields), [self.itemId].concat(values), { version: version });
+            return saved.then(function(item) {
+                if(self.mode == "new") {
+                    self.mode = "edit";
+                    self.itemId = parseInt(item.ID, 10);
+                    self.item = item;
+                }
+                if(item.owshiddenversion !== undefined)
+                    self.item.owshiddenversion = parseInt(item.owshiddenversion, 10);
+                return self.boundFields().then(function(bound) {
+                    self.original = self.read(bound.elements);
+                    return item;
+                });
+            });
+        });
+    }
+    return this.validator ? this.validator.submit(send) : send();
+};
 
-    $("body").on("change keyup", "select, input, textarea", function() {
-        $(this).css("border","1px solid #66afe9").data("error","");
-    });
-    /* 
-        <div id="errorBox" class="errorBox"></div>
-        .errorBox {
-            border: 1px solid gray;
-            border-radius: 5px;
-            border-top-left-radius: 0px;
-            background-color: white;
-            position: absolute;
-            display: block;
-            padding: 0.5%;
-            z-index: 9999;
-        }
-     */
-});
\ No newline at end of file
+return {
+    configure: configure,
+    getSiteUrl: getSiteUrl,
+    LIST_VIEW_THRESHOLD: LIST_VIEW_THRESHOLD,
+    VERSION_CONFLICT: VERSION_CONFLICT,
+    SpError: SpError,
+    addErrorHandler: addErrorHandler,
+    removeErrorHandler: removeErrorHandler,
+    decodeFieldValue: decodeFieldValue,
+    encodeFieldValue: encodeFieldValue,
+    cdata: cdata,
+    Caml: Caml,
+    CamlCondition: CamlCondition,
+    CamlQuery: CamlQuery,
+    SpSite: SpSite,
+    createFetchTransport: createFetchTransport,
+    createXhrTransport: createXhrTransport,
+    createJQueryTransport: createJQueryTransport,
+    getListItems: getListItems,
+    getListItemsAsync: getListItemsAsync,
+    getListItemsPage: getListItemsPage,
+    listItemPages: listItemPages,
+    getAllListItems: getAllListItems,
+    createNewListItem: createNewListItem,
+    createNewListItemAsync: createNewListItemAsync,
+    updateListItem: updateListItem,
+    updateListItemAsync: updateListItemAsync,
+    deleteListItem: deleteListItem,
+    deleteListItemAsync: deleteListItemAsync,
+    uploadFile: uploadFile,
+    uploadFiles: uploadFiles,
+    deleteFile: deleteFile,
+    deleteFileAsync: deleteFileAsync,
+    createFolder: createFolder,
+    renameFolder: renameFolder,
+    deleteFolder: deleteFolder,
+    getFolderContents: getFolderContents,
+    downloadFile: downloadFile,
+    copyFile: copyFile,
+    moveFile: moveFile,
+    checkOutFile: checkOutFile,
+    checkInFile: checkInFile,
+    undoCheckOut: undoCheckOut,
+    getFileVersions: getFileVersions,
+    restoreFileVersion: restoreFileVersion,
+    addAttachments: addAttachments,
+    getAttachments: getAttachments,
+    deleteAttachment: deleteAttachment,
+    createListItemWithAttachments: createListItemWithAttachments,
+    ListBatch: ListBatch,
+    ListSubscription: ListSubscription,
+    subscribeToList: subscribeToList,
+    exportListItems: exportListItems,
+    importListItems: importListItems,
+    getExternalListItems: getExternalListItems,
+    getExternalListItemsAsync: getExternalListItemsAsync,
+    getExternalListItemsPage: getExternalListItemsPage,
+    getAllExternalListItems: getAllExternalListItems,
+    createExternalListItem: createExternalListItem,
+    createExternalListItemAsync: createExternalListItemAsync,
+    updateExternalListItem: updateExternalListItem,
+    updateExternalListItemAsync: updateExternalListItemAsync,
+    rollupListItems: rollupListItems,
+    getCurrentUser: getCurrentUser,
+    getCurrentUserAsync: getCurrentUserAsync,
+    getUserGroups: getUserGroups,
+    isCurrentUserInGroup: isCurrentUserInGroup,
+    findUser: findUser,
+    getPermissions: getPermissions,
+    hasPermission: hasPermission,
+    getListSchema: getListSchema,
+    clearCache: clearCache,
+    replayPendingWrites: replayPendingWrites,
+    getPendingWrites: getPendingWrites,
+    addQueueHandler: addQueueHandler,
+    removeQueueHandler: removeQueueHandler,
+    getUrlVars: getUrlVars,
+    sortItems: sortItems,
+    groupItems: groupItems,
+    distinctValues: distinctValues,
+    aggregateItems: aggregateItems,
+    responseToArray: responseToArray,
+    msgColors: msgColors,
+    setColor: setColor,
+    showMessage: showMessage,
+    notify: notify,
+    clearNotifications: clearNotifications,
+    enableFormErrors: enableFormErrors,
+    FormValidator: FormValidator,
+    ListForm: ListForm
+};
+}));